@@ -5,13 +5,25 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { Client as FTPClient } from "basic-ftp";
 import SFTPClient from "ssh2-sftp-client";
 import fs from "fs/promises";
+import { createReadStream, createWriteStream, watch } from "fs";
+import { exec } from "child_process";
 import path from "path";
-import { Readable, Writable } from "stream";
+import os from "os";
+import crypto from "crypto";
+import { PassThrough, Readable, Writable } from "stream";
+import { finished } from "stream/promises";
+import { StringDecoder } from "string_decoder";
 import { minimatch } from "minimatch";
+import { applyPatch, createPatch, createTwoFilesPatch } from "diff";
 
 let currentConfig = null;
 let currentProfile = null;
@@ -39,20 +51,24 @@ const DEFAULT_IGNORE_PATTERNS = [
   '.nyc_output/**',
   '*.pid',
   '*.seed',
-  '*.pid.lock'
+  '*.pid.lock',
+  '.ftpmcp/**'
 ];
 
+function parseIgnoreFile(content) {
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
 async function loadIgnorePatterns(localPath) {
   const patterns = [...DEFAULT_IGNORE_PATTERNS];
   
   try {
     const ftpignorePath = path.join(localPath, '.ftpignore');
     const ftpignoreContent = await fs.readFile(ftpignorePath, 'utf8');
-    const ftpignorePatterns = ftpignoreContent
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'));
-    patterns.push(...ftpignorePatterns);
+    patterns.push(...parseIgnoreFile(ftpignoreContent));
   } catch (e) {
     // .ftpignore doesn't exist, that's fine
   }
@@ -60,11 +76,7 @@ async function loadIgnorePatterns(localPath) {
   try {
     const gitignorePath = path.join(localPath, '.gitignore');
     const gitignoreContent = await fs.readFile(gitignorePath, 'utf8');
-    const gitignorePatterns = gitignoreContent
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'));
-    patterns.push(...gitignorePatterns);
+    patterns.push(...parseIgnoreFile(gitignoreContent));
   } catch (e) {
     // .gitignore doesn't exist, that's fine
   }
@@ -72,29 +84,346 @@ async function loadIgnorePatterns(localPath) {
   return patterns;
 }
 
-function shouldIgnore(filePath, ignorePatterns, basePath) {
+function findIgnorePattern(filePath, ignorePatterns, basePath) {
   const relativePath = path.relative(basePath, filePath).replace(/\\/g, '/');
   
   for (const pattern of ignorePatterns) {
     if (minimatch(relativePath, pattern, { dot: true, matchBase: true })) {
-      return true;
+      return pattern;
     }
     if (minimatch(path.basename(filePath), pattern, { dot: true })) {
-      return true;
+      return pattern;
+    }
+  }
+  
+  return null;
+}
+
+function shouldIgnore(filePath, ignorePatterns, basePath) {
+  return findIgnorePattern(filePath, ignorePatterns, basePath) !== null;
+}
+
+function loadEnvConfig() {
+  // false, 0 or an empty value switch the agent off, any other string is a socket or pipe path
+  const agent = process.env.FTPMCP_AGENT?.trim();
+  
+  return {
+    host: process.env.FTPMCP_HOST,
+    user: process.env.FTPMCP_USER,
+    password: process.env.FTPMCP_PASSWORD,
+    port: process.env.FTPMCP_PORT,
+    privateKey: process.env.FTPMCP_PRIVATE_KEY,
+    passphrase: process.env.FTPMCP_PASSPHRASE,
+    agent: agent === 'true' ? true : (!agent || agent === 'false' || agent === '0' ? undefined : agent),
+    hostKeyFingerprint: process.env.FTPMCP_HOST_KEY_FINGERPRINT,
+    root: process.env.FTPMCP_ROOT,
+    readOnly: process.env.FTPMCP_READ_ONLY === 'true',
+    protect: process.env.FTPMCP_PROTECT ? process.env.FTPMCP_PROTECT.split(',').map(p => p.trim()).filter(Boolean) : undefined,
+    maxDeletes: process.env.FTPMCP_MAX_DELETES ? Number(process.env.FTPMCP_MAX_DELETES) : undefined,
+    confirm: process.env.FTPMCP_CONFIRM === 'true'
+  };
+}
+
+// Remote path arguments per tool, with the value used when the argument is left out
+const REMOTE_PATH_ARGUMENTS = {
+  ftp_list: { path: '.' },
+  ftp_get_contents: { path: null },
+  ftp_put_contents: { path: null },
+  ftp_edit: { path: null },
+  ftp_stat: { path: null },
+  ftp_exists: { path: null },
+  ftp_tree: { path: '.' },
+  ftp_search: { path: '.' },
+  ftp_grep: { path: '.' },
+  ftp_copy: { sourcePath: null, destPath: null },
+  ftp_sync: { remotePath: null },
+  ftp_diff: { remotePath: null },
+  ftp_disk_space: { path: '.' },
+  ftp_upload: { remotePath: null },
+  ftp_download: { remotePath: null },
+  ftp_delete: { path: null },
+  ftp_mkdir: { path: null },
+  ftp_rmdir: { path: null },
+  ftp_chmod: { path: null },
+  ftp_rename: { oldPath: null, newPath: null }
+};
+
+const MUTATING_TOOLS = new Set([
+  'ftp_put_contents',
+  'ftp_edit',
+  'ftp_copy',
+  'ftp_batch_upload',
+  'ftp_sync',
+  'ftp_upload',
+  'ftp_delete',
+  'ftp_mkdir',
+  'ftp_rmdir',
+  'ftp_chmod',
+  'ftp_rename',
+  'ftp_deploy',
+  'ftp_rollback',
+  'ftp_transfer',
+  'ftp_watch_start'
+]);
+
+function resolveRemotePath(config, remotePath) {
+  if (!config?.root) return remotePath;
+  
+  const root = path.posix.normalize(config.root);
+  const resolved = remotePath.startsWith('/') ? path.posix.normalize(remotePath) : path.posix.join(root, remotePath);
+  const relative = path.posix.relative(root, resolved);
+  if (relative === '..' || relative.startsWith('../') || resolved.startsWith('/') !== root.startsWith('/')) {
+    throw new Error(`Path "${remotePath}" is outside the profile root "${config.root}"`);
+  }
+  
+  return resolved.length > 1 ? resolved.replace(/\/+$/, '') : resolved;
+}
+
+function confineArguments(config, toolName, args = {}) {
+  if (!config?.root) return args;
+  
+  const confined = { ...args };
+  for (const [name, fallback] of Object.entries(REMOTE_PATH_ARGUMENTS[toolName] || {})) {
+    const value = confined[name] ?? fallback;
+    if (typeof value === 'string') {
+      confined[name] = resolveRemotePath(config, value);
+    }
+  }
+  if (Array.isArray(args.files)) {
+    confined.files = args.files.map(file => ({ ...file, remotePath: resolveRemotePath(config, file.remotePath) }));
+  }
+  
+  return confined;
+}
+
+function isMutatingCall(toolName, args = {}) {
+  if (!MUTATING_TOOLS.has(toolName)) return false;
+  // Previews and downloads don't touch the server
+  if (args.dryRun && ['ftp_edit', 'ftp_sync', 'ftp_deploy', 'ftp_transfer'].includes(toolName)) return false;
+  return !(toolName === 'ftp_sync' && args.direction === 'download');
+}
+
+function checkReadOnly(config, toolName, args = {}, profile = currentProfile) {
+  if (!config?.readOnly || !isMutatingCall(toolName, args)) return;
+  
+  throw new Error(`Profile "${profile || 'environment variables'}" is read-only, ${toolName} is not allowed`);
+}
+
+function hasPolicy(config) {
+  return Boolean(config?.protect?.length || config?.confirm) || (config?.maxDeletes ?? null) !== null;
+}
+
+function findProtectPattern(config, remotePath) {
+  const patterns = config?.protect || [];
+  if (patterns.length === 0) return null;
+  
+  // Patterns are relative to the profile root, or to the login directory without one,
+  // so an absolute path and the same path relative to the login directory match alike
+  const base = config.root || (remotePath.startsWith('/') ? getPool(config).home : null);
+  const relative = base
+    ? path.posix.relative(path.posix.normalize(base), path.posix.normalize(remotePath))
+    : path.posix.normalize(remotePath).replace(/^\/+/, '');
+  return patterns.find(pattern => minimatch(relative, pattern.replace(/^\/+/, ''), { dot: true, matchBase: true })) ?? null;
+}
+
+function checkProtected(config, remotePath) {
+  const pattern = findProtectPattern(config, remotePath);
+  if (pattern !== null) {
+    throw new Error(`Path "${remotePath}" is protected by the profile policy (${pattern})`);
+  }
+}
+
+function getDeleteLimitError(config, count) {
+  const limit = config?.maxDeletes ?? null;
+  if (limit === null || count <= limit) return null;
+  return `Refusing to delete ${count} remote path${count === 1 ? '' : 's'}, profile "${currentProfile || 'environment variables'}" allows at most ${limit} per call`;
+}
+
+const CONFIRM_TOKEN_TTL = 5 * 60 * 1000;
+const pendingConfirmations = new Map();
+
+function requiresConfirmation(config, toolName) {
+  const { confirm } = config || {};
+  return confirm === true || (Array.isArray(confirm) && confirm.includes(toolName));
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function getConfirmationKey(toolName, args = {}) {
+  const { confirmToken, ...rest } = args;
+  return stableStringify([currentProfile || null, toolName, rest]);
+}
+
+function issueConfirmToken(toolName, args, impact, profile = currentProfile) {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expires < now) pendingConfirmations.delete(token);
+  }
+  
+  const token = crypto.randomBytes(12).toString('base64url');
+  pendingConfirmations.set(token, { key: getConfirmationKey(toolName, args), expires: now + CONFIRM_TOKEN_TTL });
+  
+  return {
+    content: [{
+      type: "text",
+      text: `Confirmation required for ${toolName} on profile "${profile || 'environment variables'}":\n\n${impact.join('\n')}\n\nNothing was changed. To proceed, call ${toolName} again with the same arguments plus confirmToken: "${token}". The token can be used once and expires in ${CONFIRM_TOKEN_TTL / 60000} minutes.`
+    }],
+    structuredContent: { confirmationRequired: true, confirmToken: token, impact, expiresAt: new Date(now + CONFIRM_TOKEN_TTL).toISOString() }
+  };
+}
+
+function consumeConfirmToken(toolName, args) {
+  const pending = pendingConfirmations.get(args.confirmToken);
+  pendingConfirmations.delete(args.confirmToken);
+  
+  if (!pending || pending.expires < Date.now()) {
+    throw new Error('Unknown or expired confirmToken, call again without it to get a new one');
+  }
+  if (pending.key !== getConfirmationKey(toolName, args)) {
+    throw new Error('confirmToken was issued for different arguments, call again without it to get a new one');
+  }
+}
+
+const AUDIT_LOG = 'audit.jsonl';
+const SECRET_ARGUMENT = /password|passphrase|privatekey|secret|token/i;
+const CONTENT_ARGUMENTS = new Set(['content', 'patch', 'edits']);
+
+function redactArguments(args = {}) {
+  const redacted = {};
+  
+  for (const [name, value] of Object.entries(args)) {
+    if (SECRET_ARGUMENT.test(name)) {
+      redacted[name] = '[redacted]';
+    } else if (CONTENT_ARGUMENTS.has(name)) {
+      // File contents can hold credentials of their own, only their size is kept
+      redacted[name] = `[${(typeof value === 'string' ? value : JSON.stringify(value)).length} characters]`;
+    } else {
+      redacted[name] = value;
+    }
+  }
+  
+  return redacted;
+}
+
+function getAuditPaths(toolName, args = {}) {
+  const paths = Object.keys(REMOTE_PATH_ARGUMENTS[toolName] || {}).map(name => args[name]).filter(Boolean);
+  if (Array.isArray(args.files)) {
+    paths.push(...args.files.map(file => file.remotePath));
+  }
+  return paths;
+}
+
+// Background work such as watchers passes its own { profile, config }, tools acting on another profile set source
+function createAuditEntry(toolName, args = {}, source = null) {
+  if (!isMutatingCall(toolName, args)) return null;
+  
+  const started = Date.now();
+  
+  return {
+    paths: getAuditPaths(toolName, args),
+    bytes: null,
+    outcome: null,
+    source,
+    async write(result) {
+      const message = result.isError ? (result.content?.[0]?.text || '').replace(/^Error: /, '') : null;
+      const entry = {
+        timestamp: new Date(started).toISOString(),
+        profile: (this.source ? this.source.profile : currentProfile) || 'environment variables',
+        host: (this.source ? this.source.config : currentConfig)?.host || null,
+        tool: toolName,
+        arguments: redactArguments(args),
+        paths: this.paths,
+        bytes: this.bytes,
+        outcome: result.isError ? 'error' : this.outcome || 'success',
+        durationMs: Date.now() - started
+      };
+      if (result.isError) {
+        entry.error = message;
+      }
+      
+      try {
+        const logPath = getStatePath(AUDIT_LOG);
+        await fs.mkdir(path.dirname(logPath), { recursive: true });
+        await fs.appendFile(logPath, `${JSON.stringify(entry)}\n`);
+      } catch (e) {
+        console.error(`Could not write audit log: ${e.message}`);
+      }
+    }
+  };
+}
+
+function recordSyncAudit(audit, remotePath, stats) {
+  if (!audit) return;
+  
+  audit.paths = [...stats.plan.upload.map(f => `${remotePath}/${f.path}`), ...stats.deleted];
+  audit.bytes = stats.plan.upload.reduce((sum, f) => sum + f.size, 0);
+  if (stats.cancelled) {
+    audit.outcome = 'cancelled';
+  }
+}
+
+async function readAuditLog() {
+  let data;
+  try {
+    data = await fs.readFile(getStatePath(AUDIT_LOG), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  
+  const entries = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // A line cut short by a crash shouldn't hide the rest of the log
     }
   }
+  return entries;
+}
+
+function filterAuditEntries(entries, { profile, path: pathFilter, tool, since, until } = {}) {
+  const from = since ? new Date(since) : null;
+  const to = until ? new Date(until) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    throw new Error('since and until must be ISO 8601 timestamps');
+  }
+  
+  return entries.filter(entry => {
+    const time = new Date(entry.timestamp);
+    if (profile && entry.profile !== profile) return false;
+    if (tool && entry.tool !== tool) return false;
+    if (from && time < from) return false;
+    if (to && time > to) return false;
+    if (pathFilter && !entry.paths.some(p => p.includes(pathFilter) || minimatch(p, pathFilter, { dot: true }))) return false;
+    return true;
+  });
+}
+
+function formatAuditEntry(entry) {
+  const paths = entry.paths.length > IMPACT_LIST_LIMIT
+    ? [...entry.paths.slice(0, IMPACT_LIST_LIMIT), `... and ${entry.paths.length - IMPACT_LIST_LIMIT} more`]
+    : entry.paths;
   
-  return false;
+  return `${entry.timestamp} ${entry.tool} [${entry.outcome}]\n  Profile: ${entry.profile}${entry.host ? ` (${entry.host})` : ''}${paths.length > 0 ? `\n  Paths: ${paths.join(', ')}` : ''}${entry.bytes !== null ? `\n  Bytes: ${entry.bytes}` : ''}\n  Arguments: ${JSON.stringify(entry.arguments)}${entry.error ? `\n  Error: ${entry.error}` : ''}`;
+}
+
+function hasCredentials(config) {
+  if (!config.host || !config.user) return false;
+  if (config.password) return true;
+  return isSFTP(config.host) && Boolean(config.privateKey || config.agent);
 }
 
 async function loadFTPConfig(profileName = null, forceEnv = false) {
   if (forceEnv) {
-    return {
-      host: process.env.FTPMCP_HOST,
-      user: process.env.FTPMCP_USER,
-      password: process.env.FTPMCP_PASSWORD,
-      port: process.env.FTPMCP_PORT
-    };
+    return loadEnvConfig();
   }
 
   try {
@@ -124,12 +453,7 @@ async function loadFTPConfig(profileName = null, forceEnv = false) {
     throw new Error('No profiles found in .ftpconfig');
   } catch (error) {
     if (error.code === 'ENOENT') {
-      return {
-        host: process.env.FTPMCP_HOST,
-        user: process.env.FTPMCP_USER,
-        password: process.env.FTPMCP_PASSWORD,
-        port: process.env.FTPMCP_PORT
-      };
+      return loadEnvConfig();
     }
     throw error;
   }
@@ -158,133 +482,3384 @@ async function connectFTP(config) {
   return client;
 }
 
-async function connectSFTP(config) {
-  const client = new SFTPClient();
-  await client.connect({
-    host: config.host.replace('sftp://', ''),
-    port: getPort(config.host, config.port),
-    username: config.user,
-    password: config.password
+function expandHome(filePath) {
+  return filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+function getKnownHostsPath(config) {
+  return expandHome(config.knownHosts || '~/.ssh/known_hosts');
+}
+
+function getHostKeyName(config) {
+  const host = config.host.replace('sftp://', '');
+  const port = getPort(config.host, config.port);
+  return port === 22 ? host : `[${host}]:${port}`;
+}
+
+function matchesKnownHost(patterns, hostName) {
+  if (patterns.startsWith('|1|')) {
+    // Hashed entry: |1|base64(salt)|base64(HMAC-SHA1(salt, hostname))
+    const [, , salt, hash] = patterns.split('|');
+    return crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(hostName).digest('base64') === hash;
+  }
+  
+  return patterns.split(',').some(pattern => {
+    if (pattern.startsWith('!')) return false;
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i').test(hostName);
   });
-  return client;
 }
 
-async function getTreeRecursive(client, useSFTP, remotePath, depth = 0, maxDepth = 10) {
-  if (depth > maxDepth) return [];
+async function loadKnownHostKeys(config) {
+  let content;
+  try {
+    content = await fs.readFile(getKnownHostsPath(config), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
   
-  const files = useSFTP ? await client.list(remotePath) : await client.list(remotePath);
-  const results = [];
+  const hostName = getHostKeyName(config);
+  const keys = [];
+  for (const line of content.split('\n')) {
+    const trimmed = line.trim();
+    // Markers like @cert-authority and @revoked aren't supported
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('@')) continue;
+    
+    const [patterns, type, key] = trimmed.split(/\s+/);
+    if (key && matchesKnownHost(patterns, hostName)) {
+      keys.push({ type, key });
+    }
+  }
+  return keys;
+}
+
+function getHostKeyType(keyBlob) {
+  return keyBlob.subarray(4, 4 + keyBlob.readUInt32BE(0)).toString();
+}
+
+function getHostKeyFingerprint(keyBlob) {
+  return `SHA256:${crypto.createHash('sha256').update(keyBlob).digest('base64').replace(/=+$/, '')}`;
+}
+
+function normalizeFingerprint(fingerprint) {
+  const value = fingerprint.trim().replace(/=+$/, '');
+  return value.startsWith('SHA256:') ? value : `SHA256:${value}`;
+}
+
+async function createHostVerifier(config) {
+  const hostName = getHostKeyName(config);
+  const knownKeys = config.hostKeyFingerprint ? [] : await loadKnownHostKeys(config);
+  const check = { failure: null };
   
-  for (const file of files) {
-    const isDir = useSFTP ? file.type === 'd' : file.isDirectory;
-    const fileName = file.name;
-    const fullPath = remotePath === '.' ? fileName : `${remotePath}/${fileName}`;
+  check.verify = (keyBlob) => {
+    const type = getHostKeyType(keyBlob);
+    const fingerprint = getHostKeyFingerprint(keyBlob);
     
-    results.push({
-      path: fullPath,
-      name: fileName,
-      isDirectory: isDir,
-      size: file.size,
-      modified: file.modifyTime || file.date
-    });
+    if (config.hostKeyFingerprint) {
+      if (fingerprint === normalizeFingerprint(config.hostKeyFingerprint)) return true;
+      check.failure = `Host key verification failed for ${hostName}: expected ${normalizeFingerprint(config.hostKeyFingerprint)} (hostKeyFingerprint), but the server presented ${type} ${fingerprint}. The server may have been reinstalled, or someone may be intercepting the connection.`;
+      return false;
+    }
     
-    if (isDir && fileName !== '.' && fileName !== '..') {
-      const children = await getTreeRecursive(client, useSFTP, fullPath, depth + 1, maxDepth);
-      results.push(...children);
+    if (knownKeys.some(k => k.key === keyBlob.toString('base64'))) return true;
+    
+    if (knownKeys.some(k => k.type === type)) {
+      check.failure = `Host key verification failed for ${hostName}: the server presented ${type} ${fingerprint}, which does not match the key recorded in ${getKnownHostsPath(config)}. The server may have been reinstalled, or someone may be intercepting the connection.`;
+      return false;
     }
+    
+    if (config.strictHostKeyChecking === false) return true;
+    
+    check.failure = `Unknown host key for ${hostName}: ${type} ${fingerprint}. Verify this fingerprint with the server administrator, then run ftp_trust_host to record it.`;
+    return false;
+  };
+  
+  return check;
+}
+
+async function fetchHostKey(config) {
+  const client = new SFTPClient();
+  let hostKey = null;
+  
+  try {
+    await client.connect({
+      host: config.host.replace('sftp://', ''),
+      port: getPort(config.host, config.port),
+      username: config.user || 'ftpmcp',
+      retries: 0,
+      hostVerifier: (keyBlob) => {
+        hostKey = keyBlob;
+        // Only the key is needed, abort before authenticating
+        return false;
+      }
+    });
+  } catch (e) {
+    if (!hostKey) throw e;
   }
   
-  return results;
+  return hostKey;
 }
 
-async function syncFiles(client, useSFTP, localPath, remotePath, direction, ignorePatterns = null, basePath = null, extraExclude = []) {
-  const stats = { uploaded: 0, downloaded: 0, skipped: 0, errors: [], ignored: 0 };
+async function trustHostKey(config, expectedFingerprint) {
+  const hostName = getHostKeyName(config);
+  const keyBlob = await fetchHostKey(config);
+  const type = getHostKeyType(keyBlob);
+  const fingerprint = getHostKeyFingerprint(keyBlob);
+  const knownHostsPath = getKnownHostsPath(config);
   
-  if (ignorePatterns === null) {
-    ignorePatterns = await loadIgnorePatterns(localPath);
-    basePath = localPath;
+  if (expectedFingerprint && normalizeFingerprint(expectedFingerprint) !== fingerprint) {
+    throw new Error(`Host key for ${hostName} is ${type} ${fingerprint}, which does not match the expected ${normalizeFingerprint(expectedFingerprint)}. Nothing was recorded.`);
   }
   
-  if (extraExclude.length > 0) {
-    ignorePatterns = [...ignorePatterns, ...extraExclude];
+  const knownKeys = await loadKnownHostKeys(config);
+  if (knownKeys.some(k => k.key === keyBlob.toString('base64'))) {
+    return { hostName, type, fingerprint, knownHostsPath, alreadyTrusted: true };
+  }
+  if (knownKeys.some(k => k.type === type)) {
+    throw new Error(`${knownHostsPath} already has a different ${type} key for ${hostName} (server now presents ${fingerprint}). If the server was legitimately reinstalled, remove the old entry by hand first.`);
   }
   
-  if (direction === 'upload' || direction === 'both') {
-    const localFiles = await fs.readdir(localPath, { withFileTypes: true });
-    
-    for (const file of localFiles) {
-      const localFilePath = path.join(localPath, file.name);
-      const remoteFilePath = `${remotePath}/${file.name}`;
-      
-      if (shouldIgnore(localFilePath, ignorePatterns, basePath)) {
-        stats.ignored++;
-        continue;
+  await fs.mkdir(path.dirname(knownHostsPath), { recursive: true, mode: 0o700 });
+  await fs.appendFile(knownHostsPath, `${hostName} ${type} ${keyBlob.toString('base64')}\n`, { mode: 0o600 });
+  
+  return { hostName, type, fingerprint, knownHostsPath, alreadyTrusted: false };
+}
+
+async function connectSFTP(config) {
+  const client = new SFTPClient();
+  const options = {
+    host: config.host.replace('sftp://', ''),
+    port: getPort(config.host, config.port),
+    username: config.user,
+    password: config.password
+  };
+  
+  if (config.privateKey) {
+    options.privateKey = await fs.readFile(expandHome(config.privateKey));
+    if (config.passphrase) {
+      options.passphrase = config.passphrase;
+    }
+  }
+  
+  if (config.agent) {
+    options.agent = config.agent === true ? process.env.SSH_AUTH_SOCK : expandHome(config.agent);
+    if (!options.agent) {
+      throw new Error('SSH agent requested but SSH_AUTH_SOCK is not set');
+    }
+  }
+  
+  const hostCheck = await createHostVerifier(config);
+  options.hostVerifier = hostCheck.verify;
+  
+  try {
+    await client.connect(options);
+  } catch (error) {
+    if (hostCheck.failure) {
+      throw new Error(hostCheck.failure);
+    }
+    throw error;
+  }
+  return client;
+}
+
+const POOL_DEFAULTS = {
+  maxConnections: 4,
+  idleTimeout: 60
+};
+
+const connectionPools = new Map();
+
+function getPool(config) {
+  const key = `${config.host}|${getPort(config.host, config.port)}|${config.user}`;
+  if (!connectionPools.has(key)) {
+    connectionPools.set(key, { idle: [], size: 0, waiters: [], home: null });
+  }
+  return connectionPools.get(key);
+}
+
+async function closeClient(client, useSFTP) {
+  try {
+    if (useSFTP) {
+      await client.end();
+    } else {
+      client.close();
+    }
+  } catch (e) {
+    // Connection already gone
+  }
+}
+
+async function isClientAlive(entry) {
+  try {
+    if (entry.useSFTP) {
+      await entry.client.cwd();
+    } else {
+      // Also resets the working directory left behind by the previous caller
+      await entry.client.cd(entry.home);
+    }
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function createLease(pool, config, entry, reused) {
+  let done = false;
+  const finish = () => {
+    done = true;
+    pool.waiters.shift()?.();
+  };
+  
+  return {
+    client: entry.client,
+    useSFTP: entry.useSFTP,
+    reused,
+    release() {
+      if (done) return;
+      // An aborted FTP download closes the connection, it can't go back to the pool
+      if (!entry.useSFTP && entry.client.closed) {
+        this.discard();
+        return;
+      }
+      const idleTimeout = (config.idleTimeout ?? POOL_DEFAULTS.idleTimeout) * 1000;
+      if (idleTimeout <= 0) {
+        this.discard();
+        return;
       }
       
+      entry.timer = setTimeout(() => {
+        pool.idle = pool.idle.filter(e => e !== entry);
+        pool.size--;
+        closeClient(entry.client, entry.useSFTP);
+      }, idleTimeout);
+      entry.timer.unref();
+      pool.idle.push(entry);
+      finish();
+    },
+    async discard() {
+      if (done) return;
+      pool.size--;
+      finish();
+      await closeClient(entry.client, entry.useSFTP);
+    }
+  };
+}
+
+async function acquireClient(config, { wait = true } = {}) {
+  const pool = getPool(config);
+  const useSFTP = isSFTP(config.host);
+  const maxConnections = config.maxConnections || POOL_DEFAULTS.maxConnections;
+  
+  while (true) {
+    const entry = pool.idle.pop();
+    if (entry) {
+      clearTimeout(entry.timer);
+      if (await isClientAlive(entry)) {
+        return createLease(pool, config, entry, true);
+      }
+      pool.size--;
+      await closeClient(entry.client, entry.useSFTP);
+      continue;
+    }
+    
+    if (pool.size < maxConnections) {
+      pool.size++;
       try {
-        if (file.isDirectory()) {
-          if (useSFTP) {
-            await client.mkdir(remoteFilePath, true);
-          } else {
-            await client.ensureDir(remoteFilePath);
-          }
-          const subStats = await syncFiles(client, useSFTP, localFilePath, remoteFilePath, direction, ignorePatterns, basePath, extraExclude);
-          stats.uploaded += subStats.uploaded;
-          stats.downloaded += subStats.downloaded;
-          stats.skipped += subStats.skipped;
-          stats.ignored += subStats.ignored;
-          stats.errors.push(...subStats.errors);
-        } else {
-          const localStat = await fs.stat(localFilePath);
-          let shouldUpload = true;
-          
-          try {
-            const remoteStat = useSFTP 
-              ? await client.stat(remoteFilePath)
-              : (await client.list(remotePath)).find(f => f.name === file.name);
-            
-            if (remoteStat) {
-              const remoteTime = remoteStat.modifyTime || remoteStat.modifiedAt || new Date(remoteStat.rawModifiedAt);
-              if (localStat.mtime <= remoteTime) {
-                shouldUpload = false;
-                stats.skipped++;
-              }
-            }
-          } catch (e) {
-            // File doesn't exist remotely, upload it
-          }
-          
-          if (shouldUpload) {
-            if (useSFTP) {
-              await client.put(localFilePath, remoteFilePath);
-            } else {
-              await client.uploadFrom(localFilePath, remoteFilePath);
-            }
-            stats.uploaded++;
-          }
-        }
+        const client = useSFTP ? await connectSFTP(config) : await connectFTP(config);
+        const home = useSFTP ? null : await client.pwd();
+        pool.home ??= useSFTP ? await client.cwd() : home;
+        return createLease(pool, config, { client, useSFTP, home }, false);
       } catch (error) {
-        stats.errors.push(`${localFilePath}: ${error.message}`);
+        pool.size--;
+        pool.waiters.shift()?.();
+        throw error;
       }
     }
+    
+    if (!wait) return null;
+    await new Promise(resolve => pool.waiters.push(resolve));
   }
-  
-  return stats;
 }
 
-const server = new Server(
-  {
-    name: "ftp-mcp-server",
-    version: "2.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+function isConnectionError(error) {
+  return /ECONNRESET|EPIPE|ETIMEDOUT|ECONNABORTED|not connected|no sftp connection|client is closed|socket has been ended|connection lost/i
+    .test(`${error.code || ''} ${error.message}`);
+}
+
+async function withClient(config, operation, { idempotent = false } = {}) {
+  const lease = await acquireClient(config);
+  
+  try {
+    const result = await operation(lease.client, lease.useSFTP);
+    lease.release();
+    return result;
+  } catch (error) {
+    if (!isConnectionError(error)) {
+      lease.release();
+      throw error;
+    }
+    
+    await lease.discard();
+    // Running the operation again could repeat work the server already did before the connection dropped
+    if (!lease.reused || !idempotent) throw error;
+    
+    // A pooled session dropped between calls, retry once on a fresh connection
+    const fresh = await acquireClient(config);
+    try {
+      const result = await operation(fresh.client, fresh.useSFTP);
+      fresh.release();
+      return result;
+    } catch (retryError) {
+      await (isConnectionError(retryError) ? fresh.discard() : fresh.release());
+      throw retryError;
+    }
   }
-);
+}
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+function createProgress(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  
+  return {
+    signal: extra?.signal,
+    total: 0,
+    done: 0,
+    bytes: 0,
+    cancelled() {
+      return this.signal?.aborted || false;
+    },
+    report(message) {
+      if (progressToken === undefined || !extra?.sendNotification) return;
+      const params = { progressToken, progress: this.done, message };
+      if (this.total > 0) params.total = this.total;
+      extra.sendNotification({ method: 'notifications/progress', params }).catch(() => {
+        // Progress is best effort, the client may already be gone
+      });
+    },
+    advance(bytes = 0) {
+      this.done++;
+      this.bytes += bytes;
+      this.report(`${this.done}/${this.total} files, ${this.bytes} bytes transferred`);
+    }
+  };
+}
+
+function createTransferQueue(client, useSFTP, concurrency = 1, progress = null) {
+  const maxConnections = currentConfig?.maxConnections || POOL_DEFAULTS.maxConnections;
+  
+  return {
+    client,
+    useSFTP,
+    config: currentConfig,
+    progress,
+    // The caller's own connection counts towards the concurrency and joins in once it's done walking
+    workers: Math.max(0, Math.min(concurrency, maxConnections) - 1),
+    running: 0,
+    tasks: [],
+    pending: []
+  };
+}
+
+async function runTransferTasks(queue, client, useSFTP) {
+  while (queue.tasks.length > 0) {
+    const task = queue.tasks.shift();
+    if (await task(client, useSFTP)) return false;
+  }
+  return true;
+}
+
+function startTransferWorkers(queue) {
+  while (queue.running < queue.workers && queue.tasks.length > 0) {
+    queue.running++;
+    (async () => {
+      let lease = null;
+      try {
+        lease = await acquireClient(queue.config);
+        if (await runTransferTasks(queue, lease.client, lease.useSFTP)) {
+          lease.release();
+        } else {
+          await lease.discard();
+        }
+      } catch (e) {
+        // No extra connection available, the remaining workers pick up the queue
+        lease?.release();
+      } finally {
+        queue.running--;
+      }
+    })();
+  }
+}
+
+async function queueTransfer(queue, transfer, onError) {
+  const { progress } = queue;
+  if (progress) progress.total++;
+  
+  const task = async (client, useSFTP) => {
+    // Once cancelled, whatever is still queued is dropped instead of started
+    if (progress?.cancelled()) return false;
+    
+    try {
+      progress?.advance(await transfer(client, useSFTP) || 0);
+      return false;
+    } catch (error) {
+      onError(error);
+      progress?.advance();
+      return isConnectionError(error);
+    }
+  };
+  
+  if (queue.workers === 0) {
+    await task(queue.client, queue.useSFTP);
+    return;
+  }
+  
+  queue.pending.push(new Promise(resolve => {
+    queue.tasks.push((client, useSFTP) => task(client, useSFTP).then(lost => {
+      resolve();
+      return lost;
+    }));
+  }));
+  startTransferWorkers(queue);
+}
+
+async function drainTransferQueue(queue) {
+  while (queue.tasks.length > 0) {
+    await queue.tasks.shift()(queue.client, queue.useSFTP);
+  }
+  await Promise.all(queue.pending);
+}
+
+async function closeAllConnections() {
+  for (const pool of connectionPools.values()) {
+    for (const entry of pool.idle) {
+      clearTimeout(entry.timer);
+      await closeClient(entry.client, entry.useSFTP);
+    }
+    pool.idle = [];
+  }
+}
+
+async function getTreeRecursive(client, useSFTP, remotePath, depth = 0, maxDepth = 10, progress = null) {
+  if (depth > maxDepth) return [];
+  if (progress?.cancelled()) throw new Error('Cancelled');
+  
+  const files = useSFTP ? await client.list(remotePath) : await client.list(remotePath);
+  if (progress) {
+    progress.done++;
+    progress.report(`Listed ${progress.done} directories`);
+  }
+  const results = [];
+  
+  for (const file of files) {
+    const entry = describeRemoteEntry(file, useSFTP, remotePath);
+    const isDir = entry.type === 'directory';
+    
+    results.push({ ...entry, isDirectory: isDir });
+    
+    if (isDir && entry.name !== '.' && entry.name !== '..') {
+      const children = await getTreeRecursive(client, useSFTP, entry.path, depth + 1, maxDepth, progress);
+      results.push(...children);
+    }
+  }
+  
+  return results;
+}
+
+function getStatePath(name) {
+  return path.join(process.cwd(), '.ftpmcp', name);
+}
+
+async function readStateFile(name, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(getStatePath(name), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+}
+
+async function writeStateFile(name, data) {
+  const statePath = getStatePath(name);
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  await fs.writeFile(statePath, JSON.stringify(data, null, 2));
+}
+
+function getRemoteTime(entry) {
+  const time = entry.modifyTime || entry.modifiedAt || (entry.rawModifiedAt ? new Date(entry.rawModifiedAt) : null);
+  return time ? new Date(time) : null;
+}
+
+function formatPermissionBits(bits) {
+  return `${bits & 4 ? 'r' : '-'}${bits & 2 ? 'w' : '-'}${bits & 1 ? 'x' : '-'}`;
+}
+
+function describeRemoteEntry(file, useSFTP, parentPath) {
+  const type = useSFTP
+    ? ({ d: 'directory', l: 'symlink' })[file.type] || 'file'
+    : file.isDirectory ? 'directory' : file.isSymbolicLink ? 'symlink' : 'file';
+  const modified = getRemoteTime(file);
+  let permissions = null;
+  
+  if (useSFTP && file.longname) {
+    permissions = file.longname.slice(1, 10);
+  } else if (!useSFTP && file.permissions) {
+    const { user, group, world } = file.permissions;
+    permissions = [user, group, world].map(formatPermissionBits).join('');
+  }
+  
+  return {
+    name: file.name,
+    path: parentPath === '.' ? file.name : `${parentPath.replace(/\/+$/, '')}/${file.name}`,
+    type,
+    size: file.size,
+    modified: modified && !isNaN(modified) ? modified.toISOString() : null,
+    permissions
+  };
+}
+
+async function listRemoteDir(client, useSFTP, remotePath) {
+  const entries = new Map();
+  let files;
+  
+  try {
+    files = await client.list(remotePath);
+  } catch (e) {
+    // Remote directory doesn't exist yet
+    return entries;
+  }
+  
+  for (const file of files) {
+    if (file.name === '.' || file.name === '..') continue;
+    entries.set(file.name, {
+      name: file.name,
+      isDirectory: useSFTP ? file.type === 'd' : file.isDirectory,
+      size: file.size,
+      modified: getRemoteTime(file)
+    });
+  }
+  
+  return entries;
+}
+
+async function listLocalDir(localPath) {
+  const entries = new Map();
+  
+  try {
+    for (const file of await fs.readdir(localPath, { withFileTypes: true })) {
+      entries.set(file.name, file);
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  
+  return entries;
+}
+
+async function ensureRemoteDir(client, useSFTP, remotePath) {
+  if (useSFTP) {
+    await client.mkdir(remotePath, true);
+  } else {
+    // ensureDir changes the working directory, restore it so relative paths keep working
+    const cwd = await client.pwd();
+    await client.ensureDir(remotePath);
+    await client.cd(cwd);
+  }
+}
+
+async function uploadFile(client, useSFTP, localFilePath, remoteFilePath) {
+  if (useSFTP) {
+    await client.put(localFilePath, remoteFilePath);
+  } else {
+    await client.uploadFrom(localFilePath, remoteFilePath);
+  }
+}
+
+async function removeRemoteFile(client, useSFTP, remoteFilePath) {
+  if (useSFTP) {
+    await client.delete(remoteFilePath);
+  } else {
+    await client.remove(remoteFilePath);
+  }
+}
+
+async function removeEmptyRemoteDir(client, useSFTP, remotePath) {
+  if (useSFTP) {
+    await client.rmdir(remotePath);
+  } else {
+    await client.removeEmptyDir(remotePath);
+  }
+}
+
+async function downloadFile(client, useSFTP, remoteFilePath, localFilePath, remoteTime = null) {
+  // Waits for the local file to be flushed and closed, a late write would bump its mtime again
+  await downloadFileFrom(client, useSFTP, remoteFilePath, localFilePath, 0);
+  
+  if (remoteTime) {
+    // Keep the remote mtime so the next upload doesn't see the file as changed
+    await fs.utimes(localFilePath, remoteTime, remoteTime);
+  }
+}
+
+const SERVER_HASH_ALGORITHMS = {
+  'SHA-256': 'sha256',
+  'SHA-1': 'sha1',
+  'MD5': 'md5',
+  'CRC32': 'crc32'
+};
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+async function hashLocalFile(filePath, algorithm = 'sha256') {
+  if (algorithm === 'crc32') {
+    let crc = 0xFFFFFFFF;
+    for await (const chunk of createReadStream(filePath)) {
+      for (const byte of chunk) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+      }
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+  }
+  
+  const hash = crypto.createHash(algorithm);
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+async function detectServerHash(client) {
+  let features;
+  try {
+    features = await client.features();
+  } catch (e) {
+    return null;
+  }
+  
+  if (features.has('HASH')) {
+    const offered = features.get('HASH').split(';').map(a => a.replace('*', '').trim().toUpperCase());
+    const name = Object.keys(SERVER_HASH_ALGORITHMS).find(a => offered.includes(a));
+    if (name) {
+      try {
+        await client.send(`OPTS HASH ${name}`);
+        return { command: 'HASH', algorithm: SERVER_HASH_ALGORITHMS[name] };
+      } catch (e) {
+        // Server advertised HASH but refused the algorithm, try the older commands
+      }
+    }
+  }
+  if (features.has('XMD5')) return { command: 'XMD5', algorithm: 'md5' };
+  if (features.has('XCRC')) return { command: 'XCRC', algorithm: 'crc32' };
+  return null;
+}
+
+async function getRemoteHash(client, serverHash, remoteFilePath) {
+  const validPath = await client.protectWhitespace(remoteFilePath);
+  const response = await client.send(`${serverHash.command} ${validPath}`);
+  
+  // HASH replies "213 SHA-256 0-1234 <hash> <file>", XMD5/XCRC reply "250 <hash>"
+  const parts = response.message.trim().split(/\s+/);
+  const hash = serverHash.command === 'HASH' ? parts[3] : parts.find((p, i) => i > 0 && /^[0-9a-f]{8,}$/i.test(p));
+  if (!hash) {
+    throw new Error(`Unexpected ${serverHash.command} response: ${response.message}`);
+  }
+  return hash.toLowerCase();
+}
+
+async function getLocalHash(ctx, localFilePath, algorithm = 'sha256') {
+  const hashes = ctx.hashes.get(localFilePath) || {};
+  if (!hashes[algorithm]) {
+    hashes[algorithm] = await hashLocalFile(localFilePath, algorithm);
+    ctx.hashes.set(localFilePath, hashes);
+  }
+  return hashes[algorithm];
+}
+
+function getManifestKey(remotePath) {
+  return `${currentProfile || 'env'}|${currentConfig?.host}|${remotePath}`;
+}
+
+async function compareContentHash(ctx, localFilePath, localSize, remoteFilePath, remoteEntry) {
+  if (localSize !== remoteEntry.size) return 'size differs';
+  
+  if (ctx.serverHash) {
+    try {
+      const remoteHash = await getRemoteHash(ctx.client, ctx.serverHash, remoteFilePath);
+      return remoteHash === await getLocalHash(ctx, localFilePath, ctx.serverHash.algorithm) ? null : 'hash differs';
+    } catch (e) {
+      // Fall back to the manifest when the server can't hash this file
+    }
+  }
+  
+  // The manifest hash is only trusted while the remote file still looks like it did when recorded
+  const record = ctx.manifest.files[getRelativePath(ctx, localFilePath)];
+  const remoteTime = remoteEntry.modified ? remoteEntry.modified.getTime() : null;
+  if (record && record.size === remoteEntry.size && record.remote === remoteTime) {
+    return record.hash === await getLocalHash(ctx, localFilePath) ? null : 'hash differs';
+  }
+  
+  // Neither the server nor the manifest knows the hash, hash the remote content
+  return await hashRemoteContent(ctx, remoteFilePath) === await getLocalHash(ctx, localFilePath) ? null : 'hash differs';
+}
+
+async function updateManifest(ctx, localPath, names, remoteEntries) {
+  for (const name of names) {
+    const localFilePath = path.join(localPath, name);
+    const remote = remoteEntries.get(name);
+    if (!remote) continue;
+    
+    ctx.manifest.files[getRelativePath(ctx, localFilePath)] = {
+      size: remote.size,
+      hash: await getLocalHash(ctx, localFilePath),
+      remote: remote.modified ? remote.modified.getTime() : null
+    };
+  }
+}
+
+const RETRY_DEFAULTS = {
+  retries: 3,
+  retryDelay: 1
+};
+
+function isTransientError(error) {
+  // FTP 4xx replies such as 421 or 426 are temporary by definition
+  return isConnectionError(error)
+    || /^(ECONNREFUSED|EHOSTUNREACH|ENETUNREACH|EAI_AGAIN)$/.test(error.code)
+    || (typeof error.code === 'number' && error.code >= 400 && error.code < 500);
+}
+
+async function getLocalSize(localFilePath) {
+  try {
+    return (await fs.stat(localFilePath)).size;
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function getRemoteSize(client, useSFTP, remoteFilePath) {
+  try {
+    return useSFTP ? (await client.stat(remoteFilePath)).size : await client.size(remoteFilePath);
+  } catch (error) {
+    if (isConnectionError(error)) throw error;
+    return null;
+  }
+}
+
+async function getResumeOffset(client, useSFTP, direction, localFilePath, remoteFilePath) {
+  const localSize = await getLocalSize(localFilePath);
+  const remoteSize = await getRemoteSize(client, useSFTP, remoteFilePath);
+  const [source, target] = direction === 'upload' ? [localSize, remoteSize] : [remoteSize, localSize];
+  
+  // Only a target no larger than the source can be a partial copy of it
+  return source !== null && target !== null && target <= source ? target : 0;
+}
+
+async function uploadFileFrom(client, useSFTP, localFilePath, remoteFilePath, offset, written = { bytes: 0 }) {
+  const source = createReadStream(localFilePath, { start: offset });
+  try {
+    if (useSFTP) {
+      await client.put(source, remoteFilePath, offset > 0 ? { writeStreamOptions: { flags: 'r+', start: offset } } : {});
+    } else if (offset > 0) {
+      await client.appendFrom(source, remoteFilePath);
+    } else {
+      await client.uploadFrom(source, remoteFilePath);
+    }
+  } finally {
+    // The server can't hold more of this upload than was read for it
+    written.bytes = offset + source.bytesRead;
+    source.destroy();
+  }
+}
+
+async function downloadFileFrom(client, useSFTP, remoteFilePath, localFilePath, offset, written = { bytes: 0 }) {
+  const target = createWriteStream(localFilePath, offset > 0 ? { flags: 'r+', start: offset } : {});
+  try {
+    if (useSFTP) {
+      await client.get(remoteFilePath, target, { readStreamOptions: { start: offset } });
+    } else {
+      await client.downloadTo(target, remoteFilePath, offset);
+    }
+    await finished(target);
+  } catch (error) {
+    target.destroy();
+    // Don't leave an empty file behind when nothing arrived
+    if (offset === 0 && target.bytesWritten === 0) {
+      await fs.rm(localFilePath, { force: true });
+    }
+    throw error;
+  } finally {
+    written.bytes = offset + target.bytesWritten;
+    target.destroy();
+  }
+}
+
+async function verifyTransfer(client, useSFTP, localFilePath, remoteFilePath) {
+  const localSize = await getLocalSize(localFilePath);
+  const remoteSize = await getRemoteSize(client, useSFTP, remoteFilePath);
+  if (localSize !== remoteSize) {
+    throw new Error(`Size mismatch after transfer: local ${localSize} bytes, remote ${remoteSize} bytes`);
+  }
+  
+  const serverHash = useSFTP ? null : await detectServerHash(client);
+  if (!serverHash) return 'size';
+  
+  let remoteHash;
+  try {
+    remoteHash = await getRemoteHash(client, serverHash, remoteFilePath);
+  } catch (e) {
+    return 'size';
+  }
+  if (remoteHash !== await hashLocalFile(localFilePath, serverHash.algorithm)) {
+    throw new Error(`${serverHash.algorithm} mismatch after transfer, the copies differ`);
+  }
+  return serverHash.algorithm;
+}
+
+async function transferWithResume(client, useSFTP, direction, localFilePath, remoteFilePath, resume = false) {
+  const retries = currentConfig?.retries ?? RETRY_DEFAULTS.retries;
+  const retryDelay = (currentConfig?.retryDelay ?? RETRY_DEFAULTS.retryDelay) * 1000;
+  let lease = null;
+  let resumedAt = null;
+  const written = { bytes: 0 };
+  
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (attempt > 0) {
+          // The previous connection is gone, continue on a fresh one
+          await lease?.discard();
+          lease = null;
+          lease = await acquireClient(currentConfig);
+          client = lease.client;
+        }
+        
+        let offset = resume || attempt > 0
+          ? await getResumeOffset(client, useSFTP, direction, localFilePath, remoteFilePath)
+          : 0;
+        // A retry only continues what this call wrote, a larger target may still be the old file
+        if (attempt > 0 && offset > written.bytes) offset = 0;
+        if (offset > 0) resumedAt = offset;
+        
+        if (direction === 'upload') {
+          await uploadFileFrom(client, useSFTP, localFilePath, remoteFilePath, offset, written);
+        } else {
+          await downloadFileFrom(client, useSFTP, remoteFilePath, localFilePath, offset, written);
+        }
+        
+        const verified = await verifyTransfer(client, useSFTP, localFilePath, remoteFilePath);
+        return { attempts: attempt + 1, resumedAt, verified };
+      } catch (error) {
+        if (attempt >= retries || !isTransientError(error)) throw error;
+        await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+      }
+    }
+  } finally {
+    lease?.release();
+  }
+}
+
+async function getTransferOutput(localPath, remotePath, result) {
+  return {
+    localPath,
+    remotePath,
+    bytes: await getLocalSize(localPath),
+    verified: result.verified,
+    resumedAt: result.resumedAt || null,
+    attempts: result.attempts
+  };
+}
+
+function formatTransferDetails(result) {
+  return `\nVerified: ${result.verified}${result.resumedAt ? `\nResumed at byte ${result.resumedAt}` : ''}${result.attempts > 1 ? `\nAttempts: ${result.attempts}` : ''}`;
+}
+
+const CONTENT_DEFAULTS = {
+  maxSize: 1024 * 1024
+};
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon'
+};
+
+const BLOB_TYPES = {
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4'
+};
+
+const TEXT_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml',
+  '.php': 'application/x-httpd-php',
+  '.sh': 'application/x-sh'
+};
+
+function getMimeType(remotePath) {
+  const extension = path.extname(remotePath).toLowerCase();
+  return TEXT_TYPES[extension] || IMAGE_TYPES[extension] || BLOB_TYPES[extension] || null;
+}
+
+// Paths are relative to the profile root, or to the login directory without one. A leading %2F marks an absolute path, as in RFC 1738
+function getResourceUri(remotePath, profile = currentProfile, config = currentConfig) {
+  let resourcePath = path.posix.normalize(remotePath);
+  if (config?.root) {
+    resourcePath = path.posix.relative(path.posix.normalize(config.root), resourcePath);
+  }
+  
+  const encoded = resourcePath.replace(/^\.$/, '').replace(/^\/+/, '').split('/').map(encodeURIComponent).join('/');
+  return `ftp://${encodeURIComponent(profile || 'env')}/${resourcePath.startsWith('/') ? '%2F' : ''}${encoded}`;
+}
+
+function checkEncoding(encoding) {
+  if (!Buffer.isEncoding(encoding)) {
+    throw new Error(`Unknown encoding: ${encoding}`);
+  }
+}
+
+async function readRemoteBytes(client, useSFTP, remotePath, offset, length) {
+  if (useSFTP) {
+    const readStreamOptions = { start: offset };
+    if (length !== null) readStreamOptions.end = offset + length - 1;
+    return await client.get(remotePath, undefined, { readStreamOptions });
+  }
+  
+  // FTP has no way to stop a download early, so the connection is dropped once the range has arrived
+  const chunks = [];
+  let received = 0;
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      received += chunk.length;
+      callback(length !== null && received > length ? new Error('Range complete') : null);
+    }
+  });
+  
+  try {
+    await client.downloadTo(stream, remotePath, offset);
+  } catch (error) {
+    if (length === null || received <= length) throw error;
+  }
+  return Buffer.concat(chunks).subarray(0, length ?? undefined);
+}
+
+async function readRemoteContent(client, useSFTP, remotePath, { offset = 0, length = null, maxSize = CONTENT_DEFAULTS.maxSize } = {}) {
+  const size = await getRemoteSize(client, useSFTP, remotePath);
+  if (size !== null && offset > size) {
+    throw new Error(`Offset ${offset} is past the end of ${remotePath} (${size} bytes)`);
+  }
+  
+  const wanted = length ?? (size === null ? null : size - offset);
+  const tooLarge = `${remotePath} is ${size ?? 'more than ' + maxSize} bytes, above the ${maxSize} byte limit. Read it in parts with offset and length, or raise maxSize.`;
+  if (wanted !== null && wanted > maxSize) {
+    throw new Error(length === null ? tooLarge : `Requested ${length} bytes, above the ${maxSize} byte limit`);
+  }
+  
+  // Without a known size, read one byte past the limit to tell whether the file fits
+  const buffer = await readRemoteBytes(client, useSFTP, remotePath, offset, wanted ?? maxSize + 1);
+  if (buffer.length > maxSize) {
+    throw new Error(tooLarge);
+  }
+  return { buffer, size };
+}
+
+function formatRemoteContent(remotePath, buffer, encoding) {
+  if (encoding) {
+    checkEncoding(encoding);
+    return { type: "text", text: buffer.toString(encoding) };
+  }
+  
+  const extension = path.extname(remotePath).toLowerCase();
+  if (IMAGE_TYPES[extension]) {
+    return { type: "image", data: buffer.toString('base64'), mimeType: IMAGE_TYPES[extension] };
+  }
+  
+  // Same heuristic git uses: a NUL byte near the start means binary
+  if (BLOB_TYPES[extension] || buffer.subarray(0, 8000).includes(0)) {
+    return {
+      type: "resource",
+      resource: {
+        uri: getResourceUri(remotePath),
+        mimeType: BLOB_TYPES[extension] || 'application/octet-stream',
+        blob: buffer.toString('base64')
+      }
+    };
+  }
+  
+  return { type: "text", text: buffer.toString('utf8') };
+}
+
+async function writeRemoteBuffer(client, useSFTP, remotePath, buffer) {
+  if (useSFTP) {
+    await client.put(buffer, remotePath);
+  } else {
+    const readable = Readable.from([buffer]);
+    await client.uploadFrom(readable, remotePath);
+  }
+}
+
+async function statRemoteFile(client, useSFTP, remotePath) {
+  const entry = (await listRemoteDir(client, useSFTP, path.posix.dirname(remotePath))).get(path.posix.basename(remotePath));
+  if (!entry || entry.isDirectory) {
+    throw new Error(`File not found: ${remotePath}`);
+  }
+  return entry;
+}
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function applyEdits(content, edits) {
+  let replacements = 0;
+  
+  for (const { oldText, newText, replaceAll = false } of edits) {
+    if (!oldText) {
+      throw new Error('oldText must not be empty');
+    }
+    
+    const parts = content.split(oldText);
+    const snippet = oldText.length > 60 ? `${oldText.slice(0, 60)}...` : oldText;
+    if (parts.length === 1) {
+      throw new Error(`Text not found: ${snippet}`);
+    }
+    if (parts.length > 2 && !replaceAll) {
+      throw new Error(`Text found ${parts.length - 1} times, add surrounding context or set replaceAll: ${snippet}`);
+    }
+    
+    content = parts.join(newText);
+    replacements += parts.length - 1;
+  }
+  
+  return { content, replacements };
+}
+
+async function editRemoteFile(client, useSFTP, remotePath, options) {
+  const { edits, patch, expectedHash, expectedSize, expectedModified, encoding = 'utf8', maxSize = CONTENT_DEFAULTS.maxSize, dryRun = false } = options;
+  checkEncoding(encoding);
+  if (!edits?.length === !patch) {
+    throw new Error('Pass either edits or patch');
+  }
+  
+  const before = await statRemoteFile(client, useSFTP, remotePath);
+  const beforeTime = before.modified ? before.modified.getTime() : null;
+  const changedSinceRead = `${remotePath} has changed since it was read, nothing was written. Read it again and redo the edit.`;
+  if (expectedSize !== undefined && expectedSize !== before.size) {
+    throw new Error(`${changedSinceRead} (expected ${expectedSize} bytes, found ${before.size})`);
+  }
+  if (expectedModified !== undefined && new Date(expectedModified).getTime() !== beforeTime) {
+    throw new Error(`${changedSinceRead} (modified ${before.modified?.toISOString()})`);
+  }
+  
+  const { buffer } = await readRemoteContent(client, useSFTP, remotePath, { maxSize });
+  const hash = hashBuffer(buffer);
+  if (expectedHash && expectedHash.toLowerCase() !== hash) {
+    throw new Error(`${changedSinceRead} (sha256 is now ${hash})`);
+  }
+  
+  const original = buffer.toString(encoding);
+  let updated;
+  let replacements = 0;
+  if (patch) {
+    updated = applyPatch(original, patch);
+    if (updated === false) {
+      throw new Error('Patch does not apply to the current content');
+    }
+  } else {
+    ({ content: updated, replacements } = applyEdits(original, edits));
+  }
+  
+  const output = Buffer.from(updated, encoding);
+  const changed = !output.equals(buffer);
+  if (changed && !dryRun) {
+    // Last check right before writing, in case someone else saved in the meantime
+    const current = await statRemoteFile(client, useSFTP, remotePath);
+    if (current.size !== before.size || (current.modified ? current.modified.getTime() : null) !== beforeTime) {
+      throw new Error(changedSinceRead);
+    }
+    await writeRemoteBuffer(client, useSFTP, remotePath, output);
+  }
+  
+  return {
+    diff: createPatch(remotePath, original, updated),
+    changed,
+    replacements,
+    hash: hashBuffer(output)
+  };
+}
+
+const GREP_DEFAULTS = {
+  maxFileSize: 1024 * 1024,
+  maxResults: 100,
+  snippetLength: 200
+};
+
+function quoteShellArg(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function execRemote(client, command) {
+  return new Promise((resolve, reject) => {
+    client.client.exec(command, (error, stream) => {
+      if (error) return reject(error);
+      
+      const stdout = [];
+      const stderr = [];
+      stream.on('data', data => stdout.push(data));
+      stream.stderr.on('data', data => stderr.push(data));
+      stream.on('close', code => resolve({
+        code,
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8')
+      }));
+    });
+  });
+}
+
+function createLineMatcher(pattern, regex = false, ignoreCase = false) {
+  const source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const expression = new RegExp(source, ignoreCase ? 'i' : '');
+  return line => expression.test(line);
+}
+
+function formatSnippet(line) {
+  const snippet = line.replace(/\r$/, '').trim();
+  return snippet.length > GREP_DEFAULTS.snippetLength ? `${snippet.slice(0, GREP_DEFAULTS.snippetLength)}...` : snippet;
+}
+
+async function findGrepCandidates(client, useSFTP, remotePath, options, progress) {
+  const { include = [], exclude = [], maxFileSize = GREP_DEFAULTS.maxFileSize, maxDepth = 10 } = options;
+  const tree = await getTreeRecursive(client, useSFTP, remotePath, 0, maxDepth, progress);
+  const prefix = remotePath === '.' ? '' : `${remotePath.replace(/\/+$/, '')}/`;
+  const matchesAny = (relativePath, globs) => globs.some(glob => minimatch(relativePath, glob, { dot: true, matchBase: true }));
+  const files = [];
+  let tooLarge = 0;
+  
+  for (const item of tree) {
+    if (item.isDirectory || item.name === '.' || item.name === '..') continue;
+    
+    const relativePath = item.path.startsWith(prefix) ? item.path.slice(prefix.length) : item.path;
+    if (include.length > 0 && !matchesAny(relativePath, include)) continue;
+    if (matchesAny(relativePath, exclude)) continue;
+    
+    if (item.size > maxFileSize) {
+      tooLarge++;
+      continue;
+    }
+    files.push(item.path);
+  }
+  
+  return { files, tooLarge };
+}
+
+async function grepRemoteFile(client, useSFTP, remotePath, matches, hits, maxResults) {
+  const decoder = new StringDecoder('utf8');
+  let rest = '';
+  let lineNumber = 0;
+  let binary = null;
+  
+  const scan = line => {
+    lineNumber++;
+    if (hits.length < maxResults && matches(line)) {
+      hits.push({ path: remotePath, line: lineNumber, snippet: formatSnippet(line) });
+    }
+  };
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      // Same heuristic grep uses: a NUL byte in the first chunk means binary, skip the file
+      if (binary === null) binary = chunk.subarray(0, 8000).includes(0);
+      if (!binary && hits.length < maxResults) {
+        const lines = (rest + decoder.write(chunk)).split('\n');
+        rest = lines.pop();
+        lines.forEach(scan);
+      }
+      callback();
+    }
+  });
+  
+  if (useSFTP) {
+    await client.get(remotePath, stream);
+  } else {
+    await client.downloadTo(stream, remotePath);
+  }
+  
+  rest += decoder.end();
+  if (!binary && rest) scan(rest);
+}
+
+async function grepOverSSH(client, files, pattern, options, hits, maxResults) {
+  // Perl syntax is the closest to the JavaScript regexes the stream search uses, POSIX ERE lacks \d, \s and lookarounds
+  const flags = ['-nHI', options.regex ? '-P' : '-F', `-m ${maxResults}`];
+  if (options.ignoreCase) flags.push('-i');
+  
+  // Keep each command line well below ARG_MAX
+  for (let i = 0; i < files.length && hits.length < maxResults; i += 200) {
+    const batch = files.slice(i, i + 200);
+    const { code, stdout, stderr } = await execRemote(client, `grep ${flags.join(' ')} -e ${quoteShellArg(pattern)} -- ${batch.map(quoteShellArg).join(' ')}`);
+    const longestFirst = [...batch].sort((a, b) => b.length - a.length);
+    
+    // grep exits with 1 when nothing matched, anything above means it failed. Some builds without -P also exit with 1, but complain
+    if (code === null || code > 1 || (code === 1 && stderr.trim())) {
+      throw new Error(stderr.trim() || `grep exited with code ${code}`);
+    }
+    
+    for (const output of stdout.split('\n')) {
+      const file = longestFirst.find(f => output.startsWith(`${f}:`));
+      const match = file && /^(\d+):(.*)$/s.exec(output.slice(file.length + 1));
+      if (!match) continue;
+      
+      hits.push({ path: file, line: Number(match[1]), snippet: formatSnippet(match[2]) });
+      if (hits.length >= maxResults) break;
+    }
+  }
+}
+
+async function grepRemote(client, useSFTP, remotePath, pattern, options = {}, progress = null) {
+  const { regex = false, ignoreCase = false, maxResults = GREP_DEFAULTS.maxResults, serverSide = true } = options;
+  const matches = createLineMatcher(pattern, regex, ignoreCase);
+  const { files, tooLarge } = await findGrepCandidates(client, useSFTP, remotePath, options, progress);
+  const hits = [];
+  
+  if (useSFTP && serverSide && files.length > 0) {
+    try {
+      await grepOverSSH(client, files, pattern, { regex, ignoreCase }, hits, maxResults);
+      return { hits, searched: files.length, tooLarge, errors: [], method: 'ssh' };
+    } catch (e) {
+      // No shell access or no grep on the server, read the files instead
+      hits.length = 0;
+    }
+  }
+  
+  const errors = [];
+  let searched = 0;
+  for (const file of files) {
+    if (hits.length >= maxResults) break;
+    if (progress?.cancelled()) throw new Error('Cancelled');
+    
+    try {
+      await grepRemoteFile(client, useSFTP, file, matches, hits, maxResults);
+      searched++;
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+    }
+  }
+  
+  return { hits, searched, tooLarge, errors, method: 'stream' };
+}
+
+const ATOMIC_STAGING_PREFIX = '.ftpmcp-staging-';
+
+function getSyncStateKey(localPath, remotePath) {
+  return `${currentProfile || 'env'}|${currentConfig?.host}|${remotePath}|${path.resolve(localPath)}`;
+}
+
+function getRelativePath(ctx, localFilePath) {
+  return path.relative(ctx.basePath, localFilePath).replace(/\\/g, '/');
+}
+
+function forgetSyncRecord(ctx, localFilePath) {
+  // A one-way transfer resolves any pending conflict for this file
+  if (ctx.state) {
+    delete ctx.state.files[getRelativePath(ctx, localFilePath)];
+  }
+}
+
+function getTransferReason(source, target) {
+  if (!target) return 'new';
+  if (source.modified && target.modified && source.modified > target.modified) return 'newer';
+  if (source.size !== target.size) return 'size differs';
+  return null;
+}
+
+async function resolveFirstSync(ctx, localFilePath, localStat, remoteFilePath, remoteEntry) {
+  const localTime = Math.trunc(localStat.mtimeMs);
+  const remoteTime = remoteEntry.modified ? remoteEntry.modified.getTime() : null;
+  
+  if (localStat.size === remoteEntry.size) {
+    if (localTime === remoteTime) return null;
+    // Without a sync record an equal size proves nothing, only matching content does
+    if (await hashRemoteContent(ctx, remoteFilePath) === await getLocalHash(ctx, localFilePath)) return null;
+  }
+  
+  if (remoteTime === null || localTime === remoteTime) {
+    return { action: 'conflict', reason: 'copies differ and neither side is newer' };
+  }
+  return { action: localTime > remoteTime ? 'upload' : 'download', reason: 'newer' };
+}
+
+function resolveBothDirection(localStat, remoteEntry, record, localHash = null) {
+  const localTime = Math.trunc(localStat.mtimeMs);
+  const remoteTime = remoteEntry.modified ? remoteEntry.modified.getTime() : null;
+  
+  const localChanged = localHash && record.hash ? localHash !== record.hash : localTime !== record.local;
+  const remoteChanged = remoteTime !== record.remote || remoteEntry.size !== record.size;
+  
+  if (localChanged && remoteChanged) return { action: 'conflict', reason: 'changed locally and remotely since the last sync' };
+  if (localChanged) return { action: 'upload', reason: 'changed locally' };
+  if (remoteChanged) return { action: 'download', reason: 'changed remotely' };
+  return null;
+}
+
+function checkIgnored(ctx, localFilePath) {
+  const pattern = findIgnorePattern(localFilePath, ctx.ignorePatterns, ctx.basePath);
+  if (pattern === null) return false;
+  
+  ctx.stats.ignored++;
+  ctx.plan.ignored.push({ path: getRelativePath(ctx, localFilePath), pattern });
+  return true;
+}
+
+function recordSkipped(ctx, localFilePath, reason = 'unchanged') {
+  ctx.stats.skipped++;
+  ctx.plan.skipped.push({ path: getRelativePath(ctx, localFilePath), reason });
+}
+
+async function deleteRemoteOrphan(ctx, localFilePath, remoteFilePath, entry) {
+  const { client, useSFTP, stats } = ctx;
+  
+  if (checkIgnored(ctx, localFilePath)) return false;
+  if (findProtectPattern(currentConfig, remoteFilePath) !== null) {
+    stats.protected.push(remoteFilePath);
+    return false;
+  }
+  
+  try {
+    if (entry.isDirectory) {
+      // Walk the directory so ignored paths inside it survive, and only drop it once empty
+      let removable = true;
+      for (const child of (await listRemoteDir(client, useSFTP, remoteFilePath)).values()) {
+        const removed = await deleteRemoteOrphan(ctx, path.join(localFilePath, child.name), `${remoteFilePath}/${child.name}`, child);
+        removable = removable && removed;
+      }
+      if (!removable) return false;
+      
+      if (!ctx.dryRun) {
+        await removeEmptyRemoteDir(client, useSFTP, remoteFilePath);
+        await recordDeployChange(ctx, localFilePath, remoteFilePath, 'deleted', 'directory');
+      }
+    } else if (!ctx.dryRun) {
+      await recordDeployChange(ctx, localFilePath, remoteFilePath, 'deleted');
+      await removeRemoteFile(client, useSFTP, remoteFilePath);
+    }
+  } catch (error) {
+    stats.errors.push(`${remoteFilePath}: ${error.message}`);
+    return false;
+  }
+  
+  const relativePath = getRelativePath(ctx, localFilePath);
+  stats.deleted.push(remoteFilePath);
+  ctx.plan.delete.push({ path: relativePath, type: entry.isDirectory ? 'directory' : 'file' });
+  if (ctx.manifest && !ctx.dryRun) {
+    delete ctx.manifest.files[relativePath];
+  }
+  return true;
+}
+
+async function syncUploadDir(ctx, localPath, remotePath) {
+  const { client, useSFTP, stats } = ctx;
+  const localEntries = await listLocalDir(localPath);
+  const remoteEntries = await listRemoteDir(client, useSFTP, remotePath);
+  const settled = [];
+  const tempNames = new Map();
+  let uploadedHere = false;
+  
+  for (const file of localEntries.values()) {
+    if (ctx.progress?.cancelled()) return;
+    
+    const localFilePath = path.join(localPath, file.name);
+    const remoteFilePath = `${remotePath}/${file.name}`;
+    
+    if (checkIgnored(ctx, localFilePath)) continue;
+    
+    try {
+      if (file.isDirectory()) {
+        if (!ctx.dryRun) {
+          await ensureRemoteDir(client, useSFTP, remoteFilePath);
+          if (!remoteEntries.has(file.name)) {
+            ctx.atomic?.createdDirs.push(remoteFilePath);
+            await recordDeployChange(ctx, localFilePath, remoteFilePath, 'created', 'directory');
+          }
+        }
+        await syncUploadDir(ctx, localFilePath, remoteFilePath);
+      } else {
+        const localStat = await fs.stat(localFilePath);
+        const remoteEntry = remoteEntries.get(file.name);
+        const reason = ctx.compare === 'hash' && remoteEntry
+          ? await compareContentHash(ctx, localFilePath, localStat.size, remoteFilePath, remoteEntry)
+          : getTransferReason({ modified: localStat.mtime, size: localStat.size }, remoteEntry);
+        
+        if (!reason) {
+          recordSkipped(ctx, localFilePath);
+          settled.push(file.name);
+          continue;
+        }
+        if (remoteEntry && findProtectPattern(currentConfig, remoteFilePath) !== null) {
+          recordSkipped(ctx, localFilePath, 'protected');
+          stats.protected.push(remoteFilePath);
+          continue;
+        }
+        
+        const planned = { path: getRelativePath(ctx, localFilePath), reason, size: localStat.size };
+        if (ctx.dryRun) {
+          stats.uploaded++;
+          ctx.plan.upload.push(planned);
+          continue;
+        }
+        
+        // Staged names keep the extension, so the server never serves a script as plain text
+        const tempName = ctx.atomic ? `${ctx.atomic.staged++}-${file.name}` : null;
+        await queueTransfer(ctx.transfers, async transferClient => {
+          await recordDeployChange(ctx, localFilePath, remoteFilePath, remoteEntry ? 'updated' : 'created', 'file', transferClient);
+          await uploadFile(transferClient, useSFTP, localFilePath, tempName ? `${ctx.atomic.staging}/${tempName}` : remoteFilePath);
+          if (tempName) {
+            ctx.atomic.swaps.push({ tempPath: `${ctx.atomic.staging}/${tempName}`, remoteFilePath });
+            tempNames.set(file.name, tempName);
+          }
+          forgetSyncRecord(ctx, localFilePath);
+          uploadedHere = true;
+          settled.push(file.name);
+          stats.uploaded++;
+          ctx.plan.upload.push(planned);
+          return planned.size;
+        }, error => stats.errors.push(`${localFilePath}: ${error.message}`));
+      }
+    } catch (error) {
+      stats.errors.push(`${localFilePath}: ${error.message}`);
+    }
+  }
+  
+  if (ctx.deleteOrphans) {
+    for (const entry of remoteEntries.values()) {
+      if (ctx.progress?.cancelled()) return;
+      if (localEntries.has(entry.name) || entry.name.startsWith(ATOMIC_STAGING_PREFIX)) continue;
+      
+      // Deletions wait until the walk is done, so the per-call limit can be checked first
+      ctx.orphans.push([path.join(localPath, entry.name), `${remotePath}/${entry.name}`, entry]);
+    }
+  }
+  
+  if (ctx.compare === 'hash' && !ctx.dryRun) {
+    ctx.finalizers.push(async () => {
+      if (settled.length === 0) return;
+      const currentEntries = new Map(uploadedHere ? await listRemoteDir(client, useSFTP, remotePath) : remoteEntries);
+      if (tempNames.size > 0) {
+        ctx.atomic.stagedEntries ??= await listRemoteDir(client, useSFTP, ctx.atomic.staging);
+        for (const [name, tempName] of tempNames) {
+          currentEntries.set(name, ctx.atomic.stagedEntries.get(tempName));
+        }
+      }
+      await updateManifest(ctx, localPath, settled, currentEntries);
+    });
+  }
+}
+
+async function replaceRemoteFile(client, useSFTP, tempPath, remoteFilePath) {
+  try {
+    if (useSFTP) {
+      await client.posixRename(tempPath, remoteFilePath);
+    } else {
+      await client.rename(tempPath, remoteFilePath);
+    }
+  } catch (e) {
+    // Some servers refuse to rename over an existing file
+    await removeRemoteFile(client, useSFTP, remoteFilePath);
+    await client.rename(tempPath, remoteFilePath);
+  }
+}
+
+async function createAtomicStaging(client, useSFTP, remotePath) {
+  const name = `${ATOMIC_STAGING_PREFIX}${crypto.randomBytes(6).toString('hex')}`;
+  const parent = path.posix.dirname(remotePath);
+  const candidates = [`${remotePath.replace(/\/+$/, '')}/${name}`];
+  
+  // Next to the target directory is outside the served tree, as long as that is still inside the profile root
+  if (parent !== remotePath && remotePath !== '.') {
+    try {
+      resolveRemotePath(currentConfig, parent);
+      candidates.unshift(path.posix.join(parent, name));
+    } catch (e) {
+      // Stage inside the target directory instead
+    }
+  }
+  
+  for (const [index, staging] of candidates.entries()) {
+    try {
+      await ensureRemoteDir(client, useSFTP, staging);
+      return staging;
+    } catch (error) {
+      if (index === candidates.length - 1) throw error;
+    }
+  }
+}
+
+async function rollbackAtomic(ctx, swaps = ctx.atomic.swaps) {
+  const { client, useSFTP, atomic } = ctx;
+  const leftovers = [];
+  
+  for (const { tempPath } of swaps) {
+    try {
+      await removeRemoteFile(client, useSFTP, tempPath);
+    } catch (e) {
+      leftovers.push(tempPath);
+    }
+  }
+  for (const dir of [...[...atomic.createdDirs].reverse(), atomic.staging].filter(Boolean)) {
+    try {
+      await removeEmptyRemoteDir(client, useSFTP, dir);
+    } catch (e) {
+      leftovers.push(dir);
+    }
+  }
+  
+  return leftovers;
+}
+
+async function commitAtomic(ctx) {
+  const { client, useSFTP, stats, atomic } = ctx;
+  
+  if (stats.errors.length > 0) {
+    const leftovers = await rollbackAtomic(ctx);
+    throw new Error(`Atomic deployment aborted, the live directory was not changed.\n\nErrors:\n${stats.errors.join('\n')}${leftovers.length > 0 ? '\n\nCould not clean up:\n' + leftovers.join('\n') : ''}`);
+  }
+  
+  for (const [index, { tempPath, remoteFilePath }] of atomic.swaps.entries()) {
+    try {
+      await replaceRemoteFile(client, useSFTP, tempPath, remoteFilePath);
+    } catch (error) {
+      // Stop at the first failure, put back what was already swapped and drop the rest
+      const unrestored = await undoAtomicSwaps(ctx, atomic.swaps.slice(0, index).map(swap => swap.remoteFilePath));
+      const leftovers = await rollbackAtomic(ctx, atomic.swaps.slice(index));
+      throw new Error(`Atomic deployment aborted, ${remoteFilePath}: swap failed: ${error.message}\n\n${unrestored.length > 0 ? 'These files were already replaced and could not be restored:\n' + unrestored.join('\n') : 'The live directory was not changed.'}${leftovers.length > 0 ? '\n\nCould not clean up:\n' + leftovers.join('\n') : ''}`);
+    }
+  }
+  
+  try {
+    await removeEmptyRemoteDir(client, useSFTP, atomic.staging);
+  } catch (error) {
+    stats.errors.push(`${atomic.staging}: could not remove the staging directory: ${error.message}`);
+  }
+  await deleteRemoteOrphans(ctx);
+}
+
+async function undoAtomicSwaps(ctx, swapped) {
+  if (swapped.length === 0) return [];
+  // Only deployments keep the backups needed to restore overwritten files
+  if (!ctx.history) return swapped;
+  
+  const files = ctx.history.files.filter(change => change.type === 'file' && swapped.includes(change.remotePath));
+  const { errors } = await rollbackDeployment(ctx.client, ctx.useSFTP, { id: ctx.history.id, files });
+  return errors;
+}
+
+async function previewOrphanDeletions(ctx) {
+  const scratch = {
+    ...ctx,
+    dryRun: true,
+    history: null,
+    manifest: null,
+    stats: { ...ctx.stats, deleted: [], errors: [], protected: [] },
+    plan: { ...ctx.plan, delete: [], ignored: [] }
+  };
+  for (const orphan of ctx.orphans) {
+    await deleteRemoteOrphan(scratch, ...orphan);
+  }
+  return scratch.stats;
+}
+
+async function checkOrphanLimit(ctx) {
+  if (ctx.orphans.length === 0 || (currentConfig?.maxDeletes ?? null) === null) return true;
+  
+  const counted = await previewOrphanDeletions(ctx);
+  const limitError = getDeleteLimitError(currentConfig, counted.deleted.length);
+  if (limitError) {
+    if (!ctx.dryRun) {
+      // The orphans are left alone, but what they contain is still reported
+      ctx.stats.ignored = counted.ignored;
+      ctx.stats.protected.push(...counted.protected);
+    }
+    ctx.stats.errors.push(`${limitError}, no remote orphans were deleted`);
+    return false;
+  }
+  return true;
+}
+
+async function deleteRemoteOrphans(ctx) {
+  for (const orphan of ctx.orphans) {
+    await deleteRemoteOrphan(ctx, ...orphan);
+  }
+}
+
+async function recordDeployChange(ctx, localFilePath, remoteFilePath, action, type = 'file', client = ctx.client) {
+  if (!ctx.history) return;
+  
+  const change = { path: getRelativePath(ctx, localFilePath), remotePath: remoteFilePath, action, type, backup: false };
+  
+  if (type === 'file' && action !== 'created' && ctx.history.backup) {
+    const backupPath = path.join(ctx.history.backupDir, change.path);
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    await downloadFile(client, ctx.useSFTP, remoteFilePath, backupPath);
+    change.backup = true;
+  }
+  
+  ctx.history.files.push(change);
+}
+
+async function syncDownloadDir(ctx, localPath, remotePath) {
+  const { client, useSFTP, stats } = ctx;
+  const remoteEntries = await listRemoteDir(client, useSFTP, remotePath);
+  const settled = [];
+  
+  if (!ctx.dryRun) {
+    await fs.mkdir(localPath, { recursive: true });
+  }
+  
+  for (const entry of remoteEntries.values()) {
+    if (ctx.progress?.cancelled()) return;
+    
+    const localFilePath = path.join(localPath, entry.name);
+    const remoteFilePath = `${remotePath}/${entry.name}`;
+    
+    if (checkIgnored(ctx, localFilePath)) continue;
+    
+    try {
+      if (entry.isDirectory) {
+        await syncDownloadDir(ctx, localFilePath, remoteFilePath);
+      } else {
+        let localStat = null;
+        try {
+          localStat = await fs.stat(localFilePath);
+        } catch (e) {
+          // File doesn't exist locally, download it
+        }
+        
+        const reason = ctx.compare === 'hash' && localStat
+          ? await compareContentHash(ctx, localFilePath, localStat.size, remoteFilePath, entry)
+          : getTransferReason(entry, localStat && { modified: localStat.mtime, size: localStat.size });
+        
+        if (!reason) {
+          recordSkipped(ctx, localFilePath);
+          settled.push(entry.name);
+          continue;
+        }
+        
+        const planned = { path: getRelativePath(ctx, localFilePath), reason, size: entry.size };
+        if (ctx.dryRun) {
+          stats.downloaded++;
+          ctx.plan.download.push(planned);
+          continue;
+        }
+        
+        await queueTransfer(ctx.transfers, async transferClient => {
+          await downloadFile(transferClient, useSFTP, remoteFilePath, localFilePath, entry.modified);
+          forgetSyncRecord(ctx, localFilePath);
+          ctx.hashes.delete(localFilePath);
+          settled.push(entry.name);
+          stats.downloaded++;
+          ctx.plan.download.push(planned);
+          return planned.size;
+        }, error => stats.errors.push(`${remoteFilePath}: ${error.message}`));
+      }
+    } catch (error) {
+      stats.errors.push(`${remoteFilePath}: ${error.message}`);
+    }
+  }
+  
+  if (ctx.compare === 'hash' && !ctx.dryRun) {
+    ctx.finalizers.push(async () => {
+      if (settled.length === 0) return;
+      await updateManifest(ctx, localPath, settled, remoteEntries);
+    });
+  }
+}
+
+async function syncBothDir(ctx, localPath, remotePath) {
+  const { client, useSFTP, stats } = ctx;
+  
+  if (!ctx.dryRun) {
+    await fs.mkdir(localPath, { recursive: true });
+  }
+  const localEntries = await listLocalDir(localPath);
+  const remoteEntries = await listRemoteDir(client, useSFTP, remotePath);
+  const names = new Set([...localEntries.keys(), ...remoteEntries.keys()]);
+  const settled = [];
+  let uploadedHere = false;
+  
+  for (const name of names) {
+    if (ctx.progress?.cancelled()) return;
+    
+    const localFilePath = path.join(localPath, name);
+    const remoteFilePath = `${remotePath}/${name}`;
+    const relativePath = getRelativePath(ctx, localFilePath);
+    
+    if (checkIgnored(ctx, localFilePath)) continue;
+    
+    const local = localEntries.get(name);
+    const remote = remoteEntries.get(name);
+    
+    try {
+      if (local && remote && local.isDirectory() !== remote.isDirectory) {
+        stats.conflicts.push(`${relativePath}: file on one side, directory on the other`);
+        continue;
+      }
+      
+      if (local?.isDirectory() || remote?.isDirectory) {
+        if (!remote && !ctx.dryRun) {
+          await ensureRemoteDir(client, useSFTP, remoteFilePath);
+        }
+        await syncBothDir(ctx, localFilePath, remoteFilePath);
+        continue;
+      }
+      
+      const localStat = local ? await fs.stat(localFilePath) : null;
+      let resolution;
+      if (!remote) {
+        resolution = { action: 'upload', reason: 'new' };
+      } else if (!local) {
+        resolution = { action: 'download', reason: 'new' };
+      } else if (!ctx.state.files[relativePath]) {
+        resolution = await resolveFirstSync(ctx, localFilePath, localStat, remoteFilePath, remote);
+      } else {
+        const record = ctx.state.files[relativePath];
+        const localHash = ctx.compare === 'hash' && record.hash ? await getLocalHash(ctx, localFilePath) : null;
+        resolution = resolveBothDirection(localStat, remote, record, localHash);
+      }
+      
+      if (resolution?.action === 'conflict') {
+        stats.conflicts.push(`${relativePath}: ${resolution.reason}`);
+        continue;
+      }
+      
+      if (!resolution) {
+        recordSkipped(ctx, localFilePath);
+        settled.push(name);
+        continue;
+      }
+      if (resolution.action === 'upload' && remote && findProtectPattern(currentConfig, remoteFilePath) !== null) {
+        recordSkipped(ctx, localFilePath, 'protected');
+        stats.protected.push(remoteFilePath);
+        continue;
+      }
+      
+      const upload = resolution.action === 'upload';
+      const planned = { path: relativePath, reason: resolution.reason, size: upload ? localStat.size : remote.size };
+      const count = () => {
+        stats[upload ? 'uploaded' : 'downloaded']++;
+        ctx.plan[upload ? 'upload' : 'download'].push(planned);
+      };
+      if (ctx.dryRun) {
+        count();
+        continue;
+      }
+      
+      await queueTransfer(ctx.transfers, async transferClient => {
+        if (upload) {
+          await uploadFile(transferClient, useSFTP, localFilePath, remoteFilePath);
+          uploadedHere = true;
+        } else {
+          await downloadFile(transferClient, useSFTP, remoteFilePath, localFilePath, remote.modified);
+          ctx.hashes.delete(localFilePath);
+        }
+        count();
+        settled.push(name);
+        return planned.size;
+      }, error => stats.errors.push(`${relativePath}: ${error.message}`));
+    } catch (error) {
+      stats.errors.push(`${relativePath}: ${error.message}`);
+    }
+  }
+  
+  if (ctx.dryRun) return;
+  
+  ctx.finalizers.push(async () => {
+    const currentEntries = uploadedHere ? await listRemoteDir(client, useSFTP, remotePath) : remoteEntries;
+    
+    for (const name of settled) {
+      const localFilePath = path.join(localPath, name);
+      const remote = currentEntries.get(name);
+      if (!remote) continue;
+      
+      const localStat = await fs.stat(localFilePath);
+      const record = {
+        local: Math.trunc(localStat.mtimeMs),
+        remote: remote.modified ? remote.modified.getTime() : null,
+        size: remote.size
+      };
+      if (ctx.compare === 'hash') {
+        record.hash = await getLocalHash(ctx, localFilePath);
+      }
+      ctx.state.files[getRelativePath(ctx, localFilePath)] = record;
+    }
+  });
+}
+
+async function syncFiles(client, useSFTP, localPath, remotePath, direction, extraExclude = [], options = {}) {
+  const stats = { uploaded: 0, downloaded: 0, skipped: 0, errors: [], ignored: 0, conflicts: [], deleted: [], protected: [] };
+  const ignorePatterns = await loadIgnorePatterns(localPath);
+  
+  if (extraExclude.length > 0) {
+    ignorePatterns.push(...extraExclude);
+  }
+  
+  const compare = options.compare || 'mtime';
+  if (compare !== 'mtime' && compare !== 'hash') {
+    throw new Error(`Unknown compare mode: ${compare}`);
+  }
+  if (options.delete && direction !== 'upload') {
+    throw new Error('Deleting remote orphans is only supported for upload syncs');
+  }
+  if (options.atomic && direction !== 'upload') {
+    throw new Error('Atomic mode is only supported for upload syncs');
+  }
+  
+  const syncState = await readStateFile('sync-state.json', {});
+  const stateKey = getSyncStateKey(localPath, remotePath);
+  const manifests = compare === 'hash' ? await readStateFile('manifests.json', {}) : null;
+  const manifestKey = getManifestKey(remotePath);
+  const ctx = {
+    client,
+    useSFTP,
+    progress: options.progress || null,
+    transfers: createTransferQueue(client, useSFTP, options.concurrency || currentConfig?.concurrency || 1, options.progress),
+    finalizers: [],
+    ignorePatterns,
+    basePath: localPath,
+    stats,
+    dryRun: options.dryRun || false,
+    plan: { upload: [], download: [], skipped: [], ignored: [], delete: [] },
+    deleteOrphans: options.delete || false,
+    orphans: [],
+    atomic: options.atomic ? { staging: null, staged: 0, swaps: [], createdDirs: [] } : null,
+    history: options.dryRun ? null : options.history || null,
+    compare,
+    hashes: new Map(),
+    serverHash: compare === 'hash' && !useSFTP ? await detectServerHash(client) : null,
+    sshHash: null,
+    manifest: manifests ? manifests[manifestKey] || { files: {} } : null,
+    state: syncState[stateKey] || (direction === 'both' ? { files: {} } : null)
+  };
+  
+  if (direction !== 'download' && !ctx.dryRun) {
+    await ensureRemoteDir(client, useSFTP, remotePath);
+  }
+  if (ctx.atomic && !ctx.dryRun) {
+    ctx.atomic.staging = await createAtomicStaging(client, useSFTP, remotePath);
+  }
+  
+  try {
+    if (direction === 'upload') {
+      await syncUploadDir(ctx, localPath, remotePath);
+    } else if (direction === 'download') {
+      await syncDownloadDir(ctx, localPath, remotePath);
+    } else if (direction === 'both') {
+      await syncBothDir(ctx, localPath, remotePath);
+    } else {
+      throw new Error(`Unknown sync direction: ${direction}`);
+    }
+  } finally {
+    await drainTransferQueue(ctx.transfers);
+  }
+  
+  // Bookkeeping re-lists directories, so it waits until every queued transfer has landed
+  for (const finalize of ctx.finalizers) {
+    await finalize();
+  }
+  
+  if (ctx.progress?.cancelled()) {
+    stats.cancelled = true;
+    if (ctx.atomic && !ctx.dryRun) {
+      const leftovers = await rollbackAtomic(ctx);
+      throw new Error(`Atomic deployment cancelled, the live directory was not changed.${leftovers.length > 0 ? '\n\nCould not clean up:\n' + leftovers.join('\n') : ''}`);
+    }
+  } else {
+    const withinLimit = await checkOrphanLimit(ctx);
+    if (ctx.atomic && !ctx.dryRun) {
+      // Nothing may disappear from the live tree before the swap
+      await commitAtomic(ctx);
+    } else if (withinLimit || ctx.dryRun) {
+      await deleteRemoteOrphans(ctx);
+    }
+  }
+  
+  if (ctx.state && !ctx.dryRun) {
+    syncState[stateKey] = { ...ctx.state, updated: new Date().toISOString() };
+    await writeStateFile('sync-state.json', syncState);
+  }
+  
+  if (ctx.manifest && !ctx.dryRun) {
+    manifests[manifestKey] = { ...ctx.manifest, updated: new Date().toISOString() };
+    await writeStateFile('manifests.json', manifests);
+  }
+  
+  stats.plan = { ...ctx.plan, conflicts: stats.conflicts, protected: stats.protected };
+  return stats;
+}
+
+function formatDeleted(stats) {
+  if (stats.deleted.length === 0) return '';
+  return `\nDeleted (${stats.deleted.length}):\n${stats.deleted.join('\n')}\n`;
+}
+
+function formatProtected(stats) {
+  if (stats.protected.length === 0) return '';
+  return `\nProtected, left untouched (${stats.protected.length}):\n${stats.protected.join('\n')}\n`;
+}
+
+function getSyncSummary(stats) {
+  return {
+    upload: stats.uploaded,
+    download: stats.downloaded,
+    delete: stats.deleted.length,
+    protected: stats.protected.length,
+    skipped: stats.skipped,
+    ignored: stats.ignored,
+    conflicts: stats.conflicts.length,
+    errors: stats.errors.length
+  };
+}
+
+function getSyncResult(stats, dryRun) {
+  const { plan } = stats;
+  
+  return {
+    dryRun,
+    cancelled: stats.cancelled || false,
+    summary: getSyncSummary(stats),
+    files: [
+      ...plan.upload.map(f => ({ action: 'upload', ...f })),
+      ...plan.download.map(f => ({ action: 'download', ...f })),
+      ...plan.delete.map(f => ({ action: 'delete', ...f })),
+      ...plan.skipped.map(f => ({ action: 'skip', ...f })),
+      ...plan.ignored.map(f => ({ action: 'ignore', ...f }))
+    ],
+    conflicts: stats.conflicts,
+    deleted: stats.deleted,
+    protected: stats.protected,
+    errors: stats.errors
+  };
+}
+
+function formatSyncPlan(stats, details) {
+  return JSON.stringify({
+    dryRun: true,
+    ...details,
+    summary: getSyncSummary(stats),
+    plan: stats.plan,
+    errors: stats.errors
+  }, null, 2);
+}
+
+async function hashRemoteFile(client, useSFTP, remoteFilePath) {
+  const hash = crypto.createHash('sha256');
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback();
+    }
+  });
+  
+  if (useSFTP) {
+    await client.get(remoteFilePath, stream);
+  } else {
+    await client.downloadTo(stream, remoteFilePath);
+  }
+  return hash.digest('hex');
+}
+
+async function hashRemoteContent(ctx, remoteFilePath) {
+  // Let the server hash the file over SSH where it can, instead of downloading it
+  if (ctx.useSFTP && ctx.sshHash !== false) {
+    let hash = null;
+    try {
+      const { code, stdout } = await execRemote(ctx.client, `sha256sum -- ${quoteShellArg(remoteFilePath)}`);
+      hash = code === 0 ? /^[0-9a-f]{64}\b/i.exec(stdout)?.[0] : null;
+    } catch (e) {
+      // No shell access, download the file instead
+    }
+    if (hash) {
+      ctx.sshHash = true;
+      return hash.toLowerCase();
+    }
+    // Stop asking once it failed without ever working, the server has no shell or no sha256sum
+    if (!ctx.sshHash) ctx.sshHash = false;
+  }
+  return hashRemoteFile(ctx.client, ctx.useSFTP, remoteFilePath);
+}
+
+async function getDiffReason(ctx, localFilePath, localStat, remoteFilePath, remoteEntry) {
+  if (ctx.compare === 'size') {
+    return localStat.size !== remoteEntry.size ? 'size differs' : null;
+  }
+  
+  if (ctx.compare === 'hash') {
+    return await compareContentHash(ctx, localFilePath, localStat.size, remoteFilePath, remoteEntry);
+  }
+  
+  const local = { modified: localStat.mtime, size: localStat.size };
+  const reason = getTransferReason(local, remoteEntry);
+  if (reason) return reason === 'newer' ? 'local newer' : reason;
+  return getTransferReason(remoteEntry, local) === 'newer' ? 'remote newer' : null;
+}
+
+async function diffDirectory(ctx, localPath, remotePath) {
+  const { client, useSFTP, result } = ctx;
+  const localEntries = await listLocalDir(localPath);
+  const remoteEntries = await listRemoteDir(client, useSFTP, remotePath);
+  const names = [...new Set([...localEntries.keys(), ...remoteEntries.keys()])].sort();
+  
+  for (const name of names) {
+    if (ctx.progress?.cancelled()) throw new Error('Cancelled');
+    
+    const localFilePath = path.join(localPath, name);
+    const remoteFilePath = `${remotePath}/${name}`;
+    const relativePath = getRelativePath(ctx, localFilePath);
+    
+    if (findIgnorePattern(localFilePath, ctx.ignorePatterns, ctx.basePath) !== null) {
+      result.ignored++;
+      continue;
+    }
+    
+    const local = localEntries.get(name);
+    const remote = remoteEntries.get(name);
+    if (!remote) {
+      result.onlyLocal.push(local.isDirectory() ? `${relativePath}/` : relativePath);
+      continue;
+    }
+    if (!local) {
+      result.onlyRemote.push(remote.isDirectory ? `${relativePath}/` : relativePath);
+      continue;
+    }
+    if (local.isDirectory() !== remote.isDirectory) {
+      result.different.push({ path: relativePath, reason: 'file on one side, directory on the other' });
+      continue;
+    }
+    
+    try {
+      if (remote.isDirectory) {
+        await diffDirectory(ctx, localFilePath, remoteFilePath);
+        continue;
+      }
+      
+      const localStat = await fs.stat(localFilePath);
+      const reason = await getDiffReason(ctx, localFilePath, localStat, remoteFilePath, remote);
+      if (reason) {
+        result.different.push({ path: relativePath, reason, localFilePath, remoteFilePath });
+      } else {
+        result.identical++;
+      }
+    } catch (error) {
+      result.errors.push(`${relativePath}: ${error.message}`);
+    }
+  }
+}
+
+async function getTextDiff(client, useSFTP, file, maxSize) {
+  const localSize = await getLocalSize(file.localFilePath);
+  if (localSize > maxSize) return `${file.path}: too large to diff`;
+  
+  const localBuffer = await fs.readFile(file.localFilePath);
+  const { buffer: remoteBuffer } = await readRemoteContent(client, useSFTP, file.remoteFilePath, { maxSize });
+  if (localBuffer.equals(remoteBuffer)) return `${file.path}: contents identical`;
+  if (localBuffer.includes(0) || remoteBuffer.includes(0)) return `Binary files remote/${file.path} and local/${file.path} differ`;
+  
+  return createTwoFilesPatch(`remote/${file.path}`, `local/${file.path}`, remoteBuffer.toString('utf8'), localBuffer.toString('utf8')).trimEnd();
+}
+
+async function diffDirectories(client, useSFTP, localPath, remotePath, options = {}) {
+  const compare = options.compare || 'mtime';
+  if (!['mtime', 'size', 'hash'].includes(compare)) {
+    throw new Error(`Unknown compare mode: ${compare}`);
+  }
+  
+  const manifests = compare === 'hash' ? await readStateFile('manifests.json', {}) : {};
+  const ctx = {
+    client,
+    useSFTP,
+    ignorePatterns: await loadIgnorePatterns(localPath),
+    basePath: localPath,
+    compare,
+    hashes: new Map(),
+    serverHash: compare === 'hash' && !useSFTP ? await detectServerHash(client) : null,
+    sshHash: null,
+    manifest: manifests[getManifestKey(remotePath)] || { files: {} },
+    progress: options.progress || null,
+    result: { onlyLocal: [], onlyRemote: [], different: [], identical: 0, ignored: 0, errors: [] }
+  };
+  
+  await diffDirectory(ctx, localPath, remotePath);
+  
+  const { result } = ctx;
+  if (options.diffs) {
+    const maxSize = options.maxSize || CONTENT_DEFAULTS.maxSize;
+    result.diffs = [];
+    for (const file of result.different.filter(f => f.localFilePath)) {
+      try {
+        result.diffs.push(await getTextDiff(client, useSFTP, file, maxSize));
+      } catch (error) {
+        result.diffs.push(`${file.path}: ${error.message}`);
+      }
+    }
+  }
+  
+  return result;
+}
+
+const IMPACT_LIST_LIMIT = 20;
+
+async function loadRemoteIgnorePatterns(side, remotePath) {
+  const patterns = [];
+  
+  // The source tree's own ignore files apply, just as a local tree's do for syncs
+  for (const name of ['.ftpignore', '.gitignore']) {
+    const ignoreFile = `${remotePath.replace(/\/+$/, '')}/${name}`;
+    if (await getRemoteSize(side.client, side.useSFTP, ignoreFile) === null) continue;
+    const { buffer } = await readRemoteContent(side.client, side.useSFTP, ignoreFile);
+    patterns.push(...parseIgnoreFile(buffer.toString('utf8')));
+  }
+  
+  return patterns;
+}
+
+async function streamRemoteFile(source, target, sourceFilePath, targetFilePath) {
+  if (source.client === target.client && !source.useSFTP) {
+    // One FTP connection can't download and upload at once, go through a temp file
+    const tempFile = path.join(os.tmpdir(), `ftpmcp-copy-${crypto.randomBytes(6).toString('hex')}`);
+    try {
+      await source.client.downloadTo(tempFile, sourceFilePath);
+      await target.client.uploadFrom(tempFile, targetFilePath);
+    } finally {
+      await fs.rm(tempFile, { force: true });
+    }
+    return;
+  }
+  
+  const stream = new PassThrough();
+  // A failure on one side tears the stream down, so the other side doesn't wait forever
+  const fail = error => {
+    stream.destroy(error);
+    throw error;
+  };
+  
+  await Promise.all([
+    (source.useSFTP ? source.client.get(sourceFilePath, stream) : source.client.downloadTo(stream, sourceFilePath)).catch(fail),
+    (target.useSFTP ? target.client.put(stream, targetFilePath) : target.client.uploadFrom(stream, targetFilePath)).catch(fail)
+  ]);
+}
+
+async function copyRemoteFile(ctx, sourceFilePath, destFilePath) {
+  const { client, useSFTP } = ctx;
+  
+  if (useSFTP) {
+    await client.put(client.createReadStream(sourceFilePath), destFilePath);
+  } else {
+    await streamRemoteFile({ client, useSFTP }, { client: ctx.second || client, useSFTP }, sourceFilePath, destFilePath);
+  }
+}
+
+async function copyRemoteTree(ctx, sourcePath, destPath, entry) {
+  if (!entry.isDirectory) {
+    await copyRemoteFile(ctx, sourcePath, destPath);
+    ctx.files++;
+    ctx.bytes += entry.size;
+    ctx.progress?.advance(entry.size);
+    return;
+  }
+  
+  await ensureRemoteDir(ctx.client, ctx.useSFTP, destPath);
+  for (const child of (await listRemoteDir(ctx.client, ctx.useSFTP, sourcePath)).values()) {
+    if (ctx.progress?.cancelled()) throw new Error('Cancelled');
+    await copyRemoteTree(ctx, `${sourcePath.replace(/\/+$/, '')}/${child.name}`, `${destPath.replace(/\/+$/, '')}/${child.name}`, child);
+  }
+}
+
+async function copyOverSSH(client, sourcePath, destPath, isDirectory) {
+  // Copying the directory's contents keeps the same result whether or not the destination exists
+  const command = isDirectory
+    ? `mkdir -p -- ${quoteShellArg(destPath)} && cp -R -- ${quoteShellArg(`${sourcePath.replace(/\/+$/, '')}/.`)} ${quoteShellArg(destPath)}`
+    : `cp -- ${quoteShellArg(sourcePath)} ${quoteShellArg(destPath)}`;
+  const { code, stderr } = await execRemote(client, command);
+  if (code !== 0) {
+    throw new Error(stderr.trim() || `cp exited with code ${code}`);
+  }
+}
+
+async function copyRemote(client, useSFTP, sourcePath, destPath, entry, options = {}) {
+  if (entry.isDirectory && `${destPath.replace(/\/+$/, '')}/`.startsWith(`${sourcePath.replace(/\/+$/, '')}/`)) {
+    throw new Error(`Cannot copy ${sourcePath} into itself`);
+  }
+  
+  if (useSFTP && options.serverSide) {
+    try {
+      await copyOverSSH(client, sourcePath, destPath, entry.isDirectory);
+      return { method: 'ssh', files: entry.isDirectory ? null : 1, bytes: entry.isDirectory ? null : entry.size };
+    } catch (e) {
+      // No shell access or no cp on the server, stream the files instead
+    }
+  }
+  
+  // FTP can't download and upload over one connection at once, so a second one takes the upload, or a temp file when the pool is busy.
+  // Waiting for a free connection could deadlock parallel copies that each hold one already
+  const second = useSFTP ? null : await acquireClient(currentConfig, { wait: false });
+  const ctx = { client, useSFTP, second: second?.client || null, progress: options.progress || null, files: 0, bytes: 0 };
+  
+  try {
+    await copyRemoteTree(ctx, sourcePath, destPath, entry);
+  } finally {
+    second?.release();
+  }
+  return { method: useSFTP || second ? 'stream' : 'temp file', files: ctx.files, bytes: ctx.bytes };
+}
+
+async function listCopyTargets(client, useSFTP, sourcePath, destPath, entry) {
+  if (!entry?.isDirectory) return [destPath];
+  
+  const targets = [];
+  for (const child of (await listRemoteDir(client, useSFTP, sourcePath)).values()) {
+    targets.push(...await listCopyTargets(client, useSFTP, `${sourcePath.replace(/\/+$/, '')}/${child.name}`, `${destPath.replace(/\/+$/, '')}/${child.name}`, child));
+  }
+  return targets;
+}
+
+async function compareRemoteHashes(ctx, sourceFilePath, targetFilePath) {
+  const { source, target } = ctx;
+  
+  if (source.serverHash && source.serverHash.algorithm === target.serverHash?.algorithm) {
+    try {
+      const sourceHash = await getRemoteHash(source.client, source.serverHash, sourceFilePath);
+      return sourceHash === await getRemoteHash(target.client, target.serverHash, targetFilePath) ? null : 'hash differs';
+    } catch (e) {
+      // Fall back to reading both copies
+    }
+  }
+  
+  const sourceHash = await hashRemoteFile(source.client, source.useSFTP, sourceFilePath);
+  return sourceHash === await hashRemoteFile(target.client, target.useSFTP, targetFilePath) ? null : 'hash differs';
+}
+
+async function transferRemoteFile(ctx, sourceFilePath, sourceEntry, targetFilePath, targetEntry) {
+  const { stats } = ctx;
+  
+  if (targetEntry?.isDirectory) {
+    throw new Error(`${targetFilePath} is a directory on the destination`);
+  }
+  
+  const reason = ctx.compare === 'hash' && targetEntry
+    ? sourceEntry.size !== targetEntry.size ? 'size differs' : await compareRemoteHashes(ctx, sourceFilePath, targetFilePath)
+    : getTransferReason(sourceEntry, targetEntry);
+  if (!reason) {
+    recordSkipped(ctx, sourceFilePath);
+    return;
+  }
+  if (targetEntry && findProtectPattern(ctx.target.config, targetFilePath) !== null) {
+    recordSkipped(ctx, sourceFilePath, 'protected');
+    stats.protected.push(targetFilePath);
+    return;
+  }
+  
+  // A single file is reported under the name it gets on the destination
+  const planned = { path: ctx.file ? path.posix.basename(targetFilePath) : getRelativePath(ctx, sourceFilePath), reason, size: sourceEntry.size };
+  if (!ctx.dryRun) {
+    if (ctx.progress) ctx.progress.total++;
+    await streamRemoteFile(ctx.source, ctx.target, sourceFilePath, targetFilePath);
+    ctx.progress?.advance(sourceEntry.size);
+  }
+  stats.uploaded++;
+  ctx.plan.upload.push(planned);
+}
+
+async function transferRemoteDir(ctx, sourcePath, targetPath) {
+  const { source, target, stats } = ctx;
+  const sourceEntries = await listRemoteDir(source.client, source.useSFTP, sourcePath);
+  const targetEntries = await listRemoteDir(target.client, target.useSFTP, targetPath);
+  
+  for (const entry of sourceEntries.values()) {
+    if (ctx.progress?.cancelled()) return;
+    
+    const sourceFilePath = `${sourcePath.replace(/\/+$/, '')}/${entry.name}`;
+    const targetFilePath = `${targetPath.replace(/\/+$/, '')}/${entry.name}`;
+    
+    if (checkIgnored(ctx, sourceFilePath)) continue;
+    
+    try {
+      if (entry.isDirectory) {
+        if (!ctx.dryRun) {
+          await ensureRemoteDir(target.client, target.useSFTP, targetFilePath);
+        }
+        await transferRemoteDir(ctx, sourceFilePath, targetFilePath);
+      } else {
+        await transferRemoteFile(ctx, sourceFilePath, entry, targetFilePath, targetEntries.get(entry.name));
+      }
+    } catch (error) {
+      stats.errors.push(`${sourceFilePath}: ${error.message}`);
+    }
+  }
+}
+
+async function transferBetweenRemotes(source, target, sourcePath, targetPath, options = {}) {
+  const stats = { uploaded: 0, downloaded: 0, skipped: 0, errors: [], ignored: 0, conflicts: [], deleted: [], protected: [] };
+  
+  const compare = options.compare || 'mtime';
+  if (compare !== 'mtime' && compare !== 'hash') {
+    throw new Error(`Unknown compare mode: ${compare}`);
+  }
+  
+  const sourceEntry = await findRemoteEntry(source.client, source.useSFTP, source.config, sourcePath);
+  if (!sourceEntry) {
+    throw new Error(`Source not found: ${sourcePath}`);
+  }
+  
+  for (const side of [source, target]) {
+    side.serverHash = compare === 'hash' && !side.useSFTP ? await detectServerHash(side.client) : null;
+  }
+  
+  const ctx = {
+    source,
+    target,
+    progress: options.progress || null,
+    ignorePatterns: [...DEFAULT_IGNORE_PATTERNS, ...(options.exclude || [])],
+    basePath: sourceEntry.isDirectory ? sourcePath : path.posix.dirname(sourcePath),
+    file: !sourceEntry.isDirectory,
+    stats,
+    dryRun: options.dryRun || false,
+    plan: { upload: [], download: [], skipped: [], ignored: [], delete: [] },
+    compare
+  };
+  
+  if (sourceEntry.isDirectory) {
+    ctx.ignorePatterns.push(...await loadRemoteIgnorePatterns(source, sourcePath));
+    if (!ctx.dryRun) {
+      await ensureRemoteDir(target.client, target.useSFTP, targetPath);
+    }
+    await transferRemoteDir(ctx, sourcePath, targetPath);
+  } else if (!checkIgnored(ctx, sourcePath)) {
+    try {
+      const targetEntry = await findRemoteEntry(target.client, target.useSFTP, target.config, targetPath);
+      if (!ctx.dryRun) {
+        await ensureRemoteDir(target.client, target.useSFTP, path.posix.dirname(targetPath));
+      }
+      await transferRemoteFile(ctx, sourcePath, sourceEntry, targetPath, targetEntry);
+    } catch (error) {
+      stats.errors.push(`${sourcePath}: ${error.message}`);
+    }
+  }
+  
+  if (ctx.progress?.cancelled()) {
+    stats.cancelled = true;
+  }
+  stats.plan = { ...ctx.plan, conflicts: stats.conflicts, protected: stats.protected };
+  stats.targetRoot = ctx.file ? path.posix.dirname(targetPath) : targetPath;
+  return stats;
+}
+
+function formatImpactList(title, items) {
+  if (items.length === 0) return [];
+  
+  const lines = [`${title} (${items.length}):`, ...items.slice(0, IMPACT_LIST_LIMIT).map(item => `  ${item}`)];
+  if (items.length > IMPACT_LIST_LIMIT) {
+    lines.push(`  ... and ${items.length - IMPACT_LIST_LIMIT} more`);
+  }
+  return lines;
+}
+
+function describeSyncImpact(stats) {
+  return [
+    ...formatImpactList('Overwrite', stats.plan.upload.filter(f => f.reason !== 'new').map(f => f.path)),
+    ...formatImpactList('Delete', stats.deleted),
+    ...formatImpactList('Protected, left untouched', stats.protected)
+  ];
+}
+
+async function listRemoteSubtree(client, useSFTP, remotePath) {
+  const paths = [];
+  
+  for (const entry of (await listRemoteDir(client, useSFTP, remotePath)).values()) {
+    const entryPath = `${remotePath}/${entry.name}`;
+    paths.push(entryPath);
+    if (entry.isDirectory) {
+      paths.push(...await listRemoteSubtree(client, useSFTP, entryPath));
+    }
+  }
+  
+  return paths;
+}
+
+async function assessOverwrites(client, useSFTP, remotePaths) {
+  const overwrites = [];
+  
+  for (const remotePath of remotePaths) {
+    const entry = (await listRemoteDir(client, useSFTP, path.posix.dirname(remotePath))).get(path.posix.basename(remotePath));
+    if (!entry || entry.isDirectory) continue;
+    
+    checkProtected(currentConfig, remotePath);
+    overwrites.push(`${remotePath} (${entry.size} bytes)`);
+  }
+  
+  return formatImpactList('Overwrite', overwrites);
+}
+
+async function assessDeletes(client, useSFTP, remotePath, recursive) {
+  const paths = [remotePath, ...(recursive ? await listRemoteSubtree(client, useSFTP, remotePath) : [])];
+  
+  for (const entryPath of paths) {
+    checkProtected(currentConfig, entryPath);
+  }
+  const limitError = getDeleteLimitError(currentConfig, paths.length);
+  if (limitError) {
+    throw new Error(limitError);
+  }
+  
+  return formatImpactList('Delete', paths);
+}
+
+async function assessImpact(client, useSFTP, toolName, args, describe) {
+  switch (toolName) {
+    case 'ftp_delete':
+      return assessDeletes(client, useSFTP, args.path, false);
+    case 'ftp_rmdir':
+      return assessDeletes(client, useSFTP, args.path, args.recursive);
+    case 'ftp_upload':
+      return assessOverwrites(client, useSFTP, [args.remotePath]);
+    case 'ftp_put_contents':
+      return assessOverwrites(client, useSFTP, [args.path]);
+    case 'ftp_edit':
+      return args.dryRun ? [] : assessOverwrites(client, useSFTP, [args.path]);
+    case 'ftp_copy': {
+      const entry = await findRemoteEntry(client, useSFTP, currentConfig, args.sourcePath);
+      return assessOverwrites(client, useSFTP, await listCopyTargets(client, useSFTP, args.sourcePath, args.destPath, entry));
+    }
+    case 'ftp_batch_upload':
+      return assessOverwrites(client, useSFTP, args.files.map(f => f.remotePath));
+    case 'ftp_rename':
+      // Moving a protected path away removes it from where it is protected
+      checkProtected(currentConfig, args.oldPath);
+      return assessOverwrites(client, useSFTP, [args.newPath]);
+    case 'ftp_sync': {
+      // Protection and the delete limit are enforced by the sync itself, the preview is only for confirmation
+      if (!describe || args.dryRun || args.direction === 'download') return [];
+      const preview = await syncFiles(client, useSFTP, args.localPath, args.remotePath, args.direction || 'upload', [], {
+        dryRun: true,
+        compare: args.compare,
+        delete: args.delete
+      });
+      return describeSyncImpact(preview);
+    }
+    default:
+      return [];
+  }
+}
+
+function checkConfirmToken(toolName, args = {}) {
+  if (!hasPolicy(currentConfig) || !MUTATING_TOOLS.has(toolName)) return;
+  
+  if (requiresConfirmation(currentConfig, toolName) && args.confirmToken) {
+    consumeConfirmToken(toolName, args);
+  }
+}
+
+async function guardDestructiveCall(client, useSFTP, toolName, args = {}) {
+  if (!hasPolicy(currentConfig) || !MUTATING_TOOLS.has(toolName)) return null;
+  
+  const confirm = requiresConfirmation(currentConfig, toolName);
+  const impact = await assessImpact(client, useSFTP, toolName, args, confirm && !args.confirmToken);
+  if (!confirm || args.confirmToken || impact.length === 0) return null;
+  return issueConfirmToken(toolName, args, impact);
+}
+
+const DEPLOY_HISTORY_LIMIT = 20;
+
+function createDeployHistory(deployment, deployConfig) {
+  const timestamp = new Date().toISOString();
+  const id = `${timestamp.replace(/[-:.]/g, '').replace('T', '-').slice(0, 18)}-${deployment}`;
+  
+  return {
+    id,
+    deployment,
+    profile: deployConfig.profile,
+    local: deployConfig.local,
+    remote: deployConfig.remote,
+    timestamp,
+    backup: deployConfig.backup !== false,
+    backupDir: getStatePath(path.join('backups', id)),
+    files: []
+  };
+}
+
+async function saveDeployHistory(history, stats) {
+  const entries = await readStateFile('deploy-history.json', []);
+  const { backupDir, ...entry } = history;
+  entries.push({ ...entry, uploaded: stats.uploaded, deleted: stats.deleted.length, errors: stats.errors });
+  
+  const sameDeployment = entries.filter(e => e.deployment === history.deployment);
+  const pruned = sameDeployment.slice(0, Math.max(0, sameDeployment.length - DEPLOY_HISTORY_LIMIT));
+  for (const old of pruned) {
+    await fs.rm(getStatePath(path.join('backups', old.id)), { recursive: true, force: true });
+  }
+  
+  await writeStateFile('deploy-history.json', entries.filter(e => !pruned.includes(e)));
+}
+
+function summarizeDeployChanges(files) {
+  const counts = { created: 0, updated: 0, deleted: 0 };
+  for (const file of files) {
+    counts[file.action]++;
+  }
+  return `${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted`;
+}
+
+async function rollbackDeployment(client, useSFTP, entry) {
+  const results = { restored: [], removed: [], errors: [] };
+  const backupDir = getStatePath(path.join('backups', entry.id));
+  
+  for (const change of [...entry.files].reverse()) {
+    try {
+      if (change.action === 'created') {
+        if (change.type === 'directory') {
+          await removeEmptyRemoteDir(client, useSFTP, change.remotePath);
+        } else {
+          await removeRemoteFile(client, useSFTP, change.remotePath);
+        }
+        results.removed.push(change.remotePath);
+      } else if (change.type === 'directory') {
+        await ensureRemoteDir(client, useSFTP, change.remotePath);
+        results.restored.push(change.remotePath);
+      } else {
+        if (!change.backup) {
+          throw new Error('no backup was kept for this file');
+        }
+        await uploadFile(client, useSFTP, path.join(backupDir, change.path), change.remotePath);
+        results.restored.push(change.remotePath);
+      }
+    } catch (error) {
+      results.errors.push(`${change.remotePath}: ${error.message}`);
+    }
+  }
+  
+  return results;
+}
+
+const HOOK_DEFAULTS = {
+  timeout: 600,
+  maxOutput: 10000
+};
+
+const REMOTE_HOOK_ACTIONS = ['upload', 'write', 'rename', 'delete', 'ssh'];
+
+function describeHook(hook) {
+  if (typeof hook === 'string') return hook;
+  if (hook.run) return hook.run;
+  if (hook.upload) return `upload ${hook.upload} to ${hook.to}`;
+  if (hook.write) return `write ${hook.write}`;
+  if (hook.rename) return `rename ${hook.rename} to ${hook.to}`;
+  if (hook.delete) return `delete ${hook.delete}`;
+  return `ssh ${hook.ssh}`;
+}
+
+function validateDeployHooks(deployConfig) {
+  for (const stage of ['before', 'after']) {
+    const hooks = deployConfig[stage] || [];
+    if (!Array.isArray(hooks)) {
+      throw new Error(`Deployment "${stage}" hooks must be an array`);
+    }
+    
+    for (const hook of hooks) {
+      if (typeof hook === 'string' || typeof hook?.run === 'string') continue;
+      const action = REMOTE_HOOK_ACTIONS.find(name => typeof hook?.[name] === 'string');
+      if (!action) {
+        throw new Error(`Unknown ${stage} hook ${JSON.stringify(hook)}, expected a command or one of run, ${REMOTE_HOOK_ACTIONS.join(', ')}`);
+      }
+      if ((action === 'upload' || action === 'rename') && typeof hook.to !== 'string') {
+        throw new Error(`The ${action} hook ${JSON.stringify(hook)} needs a "to" path`);
+      }
+    }
+  }
+}
+
+function trimHookOutput(output) {
+  const text = output.trim();
+  return text.length > HOOK_DEFAULTS.maxOutput ? `...${text.slice(-HOOK_DEFAULTS.maxOutput)}` : text;
+}
+
+function runLocalCommand(command, cwd, timeout) {
+  return new Promise(resolve => {
+    exec(command, { cwd, timeout: timeout * 1000, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      resolve({ error, output: `${stdout}${stderr}` });
+    });
+  });
+}
+
+function resolveHookPath(ctx, hookPath) {
+  // Relative paths are inside the deployment's remote directory
+  const remotePath = hookPath.startsWith('/') ? hookPath : path.posix.join(ctx.remotePath, hookPath);
+  const resolved = resolveRemotePath(ctx.config, remotePath);
+  checkProtected(ctx.config, resolved);
+  return resolved;
+}
+
+async function runRemoteHook(ctx, hook, client, useSFTP) {
+  if (hook.upload) {
+    const target = resolveHookPath(ctx, hook.to);
+    await ensureRemoteDir(client, useSFTP, path.posix.dirname(target));
+    await uploadFile(client, useSFTP, path.resolve(hook.upload), target);
+    return `Uploaded ${hook.upload} to ${target}`;
+  }
+  
+  if (hook.write) {
+    const target = resolveHookPath(ctx, hook.write);
+    const buffer = Buffer.from(hook.content ?? '', 'utf8');
+    await ensureRemoteDir(client, useSFTP, path.posix.dirname(target));
+    await writeRemoteBuffer(client, useSFTP, target, buffer);
+    return `Wrote ${buffer.length} bytes to ${target}`;
+  }
+  
+  if (hook.rename) {
+    const from = resolveHookPath(ctx, hook.rename);
+    const to = resolveHookPath(ctx, hook.to);
+    await client.rename(from, to);
+    return `Renamed ${from} to ${to}`;
+  }
+  
+  if (hook.delete) {
+    const target = resolveHookPath(ctx, hook.delete);
+    const entry = await findRemoteEntry(client, useSFTP, ctx.config, target);
+    // Clearing a flag that is already gone is not a failure
+    if (!entry) return `${target} does not exist, nothing to delete`;
+    
+    if (entry.isDirectory) {
+      for (const entryPath of await listRemoteSubtree(client, useSFTP, target)) {
+        checkProtected(ctx.config, entryPath);
+      }
+      await (useSFTP ? client.rmdir(target, true) : client.removeDir(target));
+    } else {
+      await removeRemoteFile(client, useSFTP, target);
+    }
+    return `Deleted ${target}`;
+  }
+  
+  if (!useSFTP) {
+    throw new Error('ssh hooks need an SFTP profile');
+  }
+  const { code, stdout, stderr } = await execRemote(client, hook.ssh);
+  if (code !== 0) {
+    throw Object.assign(new Error(`Exited with code ${code}`), { output: `${stdout}${stderr}` });
+  }
+  return `${stdout}${stderr}`;
+}
+
+async function runHook(ctx, hook) {
+  if (typeof hook === 'string' || hook.run) {
+    const { run = hook, cwd = '.', timeout = HOOK_DEFAULTS.timeout } = typeof hook === 'string' ? {} : hook;
+    const { error, output } = await runLocalCommand(run, path.resolve(cwd), timeout);
+    if (error) {
+      throw Object.assign(new Error(error.killed ? `Timed out after ${timeout}s` : `Exited with code ${error.code}`), { output });
+    }
+    return output;
+  }
+  
+  return withClient(ctx.config, (client, useSFTP) => runRemoteHook(ctx, hook, client, useSFTP));
+}
+
+function planDeployHooks(stage, hooks = []) {
+  return hooks.map(hook => ({ stage, hook: describeHook(hook), status: 'skipped', output: '' }));
+}
+
+async function runDeployHooks(ctx, stage, hooks = []) {
+  const results = planDeployHooks(stage, hooks);
+  
+  // The first failure skips the rest of the stage
+  for (const [index, hook] of hooks.entries()) {
+    const result = results[index];
+    const started = Date.now();
+    
+    try {
+      result.output = trimHookOutput(await runHook(ctx, hook));
+      result.status = 'ok';
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+      result.output = trimHookOutput(error.output || '');
+    }
+    result.durationMs = Date.now() - started;
+    if (result.status === 'failed') break;
+  }
+  
+  return { results, failed: results.some(r => r.status === 'failed') };
+}
+
+function formatHooks(results) {
+  if (results.length === 0) return '';
+  
+  const lines = results.map(r => {
+    const output = r.output ? `\n${r.output.split('\n').map(line => `    ${line}`).join('\n')}` : '';
+    return `  [${r.stage}] ${r.hook}: ${r.status}${r.error ? ` (${r.error})` : ''}${output}`;
+  });
+  return `\nHooks:\n${lines.join('\n')}\n`;
+}
+
+const WATCH_DEFAULTS = {
+  debounce: 500,
+  history: 100,
+  statusLimit: 10
+};
+
+const watchers = new Map();
+let watchCounter = 0;
+
+function recordWatchEvent(list, event) {
+  list.unshift({ time: new Date().toISOString(), ...event });
+  list.length = Math.min(list.length, WATCH_DEFAULTS.history);
+}
+
+function recordWatchError(watcher, relativePath, error) {
+  watcher.failed++;
+  recordWatchEvent(watcher.errors, { path: relativePath, error: error.message });
+}
+
+function getWatchRemotePath(watcher, localFilePath) {
+  const relativePath = path.relative(watcher.localPath, localFilePath).replace(/\\/g, '/');
+  return relativePath ? `${watcher.remotePath.replace(/\/+$/, '')}/${relativePath}` : watcher.remotePath;
+}
+
+async function ensureWatchedDir(watcher, client, useSFTP, remotePath) {
+  if (watcher.remoteDirs.has(remotePath)) return;
+  await ensureRemoteDir(client, useSFTP, remotePath);
+  watcher.remoteDirs.add(remotePath);
+}
+
+async function pushWatchedPath(watcher, client, useSFTP, localFilePath, round, audit) {
+  // A new directory and the files inside it often arrive in the same round
+  if (round.seen.has(localFilePath)) return;
+  round.seen.add(localFilePath);
+  
+  const relativePath = path.relative(watcher.localPath, localFilePath).replace(/\\/g, '/');
+  const remoteFilePath = getWatchRemotePath(watcher, localFilePath);
+  
+  try {
+    let stat;
+    try {
+      stat = await fs.stat(localFilePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (watcher.delete) round.removed.push(localFilePath);
+      return;
+    }
+    
+    if (stat.isDirectory()) {
+      await ensureWatchedDir(watcher, client, useSFTP, remoteFilePath);
+      // A directory moved or copied in arrives as a single event
+      for (const name of await fs.readdir(localFilePath)) {
+        const child = path.join(localFilePath, name);
+        if (!shouldIgnore(child, watcher.ignorePatterns, watcher.localPath)) {
+          await pushWatchedPath(watcher, client, useSFTP, child, round, audit);
+        }
+      }
+      return;
+    }
+    if (!stat.isFile()) return;
+    
+    checkProtected(watcher.config, remoteFilePath);
+    await ensureWatchedDir(watcher, client, useSFTP, path.posix.dirname(remoteFilePath));
+    await uploadFile(client, useSFTP, localFilePath, remoteFilePath);
+    watcher.pushed++;
+    recordWatchEvent(watcher.pushes, { path: relativePath, action: 'upload', size: stat.size });
+    audit?.paths.push(remoteFilePath);
+    if (audit) audit.bytes += stat.size;
+  } catch (error) {
+    recordWatchError(watcher, relativePath, error);
+  }
+}
+
+async function deleteWatchedPath(watcher, client, useSFTP, localFilePath, remoteFilePath, entry, audit, preview = null) {
+  const relativePath = path.relative(watcher.localPath, localFilePath).replace(/\\/g, '/');
+  if (shouldIgnore(localFilePath, watcher.ignorePatterns, watcher.localPath)) return false;
+  
+  try {
+    checkProtected(watcher.config, remoteFilePath);
+    if (entry.isDirectory) {
+      // Same as mirror syncs: ignored and protected paths inside survive, and the directory goes once empty
+      let removable = true;
+      for (const child of (await listRemoteDir(client, useSFTP, remoteFilePath)).values()) {
+        const removedChild = await deleteWatchedPath(watcher, client, useSFTP, path.join(localFilePath, child.name), `${remoteFilePath}/${child.name}`, child, audit, preview);
+        removable = removable && removedChild;
+      }
+      if (!removable) return false;
+      if (!preview) {
+        await removeEmptyRemoteDir(client, useSFTP, remoteFilePath);
+        watcher.remoteDirs.delete(remoteFilePath);
+      }
+    } else if (!preview) {
+      await removeRemoteFile(client, useSFTP, remoteFilePath);
+    }
+  } catch (error) {
+    if (!preview) recordWatchError(watcher, relativePath, error);
+    return false;
+  }
+  
+  // A preview only collects the paths that would go
+  if (preview) {
+    preview.push(remoteFilePath);
+    return true;
+  }
+  
+  watcher.pushed++;
+  recordWatchEvent(watcher.pushes, { path: relativePath, action: 'delete' });
+  audit?.paths.push(remoteFilePath);
+  return true;
+}
+
+async function flushWatcher(watcher) {
+  if (watcher.busy || watcher.pending.size === 0) return;
+  
+  watcher.busy = true;
+  const batch = [...watcher.pending];
+  watcher.pending.clear();
+  const audit = createAuditEntry('ftp_watch_start', { id: watcher.id, localPath: watcher.localPath, remotePath: watcher.remotePath }, watcher);
+  audit.paths = [];
+  audit.bytes = 0;
+  const failedBefore = watcher.failed;
+  
+  try {
+    await withClient(watcher.config, async (client, useSFTP) => {
+      const round = { seen: new Set(), removed: [] };
+      for (const localFilePath of batch) {
+        await pushWatchedPath(watcher, client, useSFTP, localFilePath, round, audit);
+      }
+      
+      const { removed } = round;
+      if (removed.length === 0) return;
+      
+      const targets = [];
+      for (const localFilePath of removed) {
+        const remoteFilePath = getWatchRemotePath(watcher, localFilePath);
+        const entry = (await listRemoteDir(client, useSFTP, path.posix.dirname(remoteFilePath))).get(path.posix.basename(remoteFilePath));
+        if (entry) targets.push([localFilePath, remoteFilePath, entry]);
+      }
+      // A removed directory takes its contents with it, so paths inside it are neither counted nor deleted twice
+      const outermost = targets.filter(([, remoteFilePath]) => !targets.some(([, other, entry]) => entry.isDirectory && remoteFilePath.startsWith(`${other}/`)));
+      
+      const limit = watcher.config.maxDeletes ?? null;
+      if (limit !== null) {
+        const doomed = [];
+        for (const target of outermost) {
+          await deleteWatchedPath(watcher, client, useSFTP, ...target, null, doomed);
+        }
+        if (doomed.length > limit) {
+          throw new Error(`Refusing to delete ${doomed.length} remote paths, profile "${watcher.profile}" allows at most ${limit} at once`);
+        }
+      }
+      for (const target of outermost) {
+        await deleteWatchedPath(watcher, client, useSFTP, ...target, audit);
+      }
+    });
+  } catch (error) {
+    recordWatchError(watcher, null, error);
+  } finally {
+    watcher.busy = false;
+  }
+  
+  if (audit.paths.length > 0 || watcher.failed > failedBefore) {
+    const errors = watcher.errors.slice(0, watcher.failed - failedBefore).map(e => e.path ? `${e.path}: ${e.error}` : e.error);
+    await audit.write({ content: [{ type: "text", text: errors.length > 0 ? `Error: ${errors.join('\n')}` : 'Pushed' }], isError: errors.length > 0 });
+  }
+  // Changes that arrived during the upload go out in the next round
+  if (watcher.active && watcher.pending.size > 0) {
+    scheduleWatchFlush(watcher);
+  }
+}
+
+function scheduleWatchFlush(watcher) {
+  clearTimeout(watcher.timer);
+  watcher.timer = setTimeout(() => flushWatcher(watcher), watcher.debounce);
+}
+
+function startWatcher(options) {
+  const watcher = {
+    id: `watch-${++watchCounter}`,
+    ...options,
+    started: new Date().toISOString(),
+    active: true,
+    busy: false,
+    pending: new Set(),
+    remoteDirs: new Set(),
+    timer: null,
+    pushed: 0,
+    failed: 0,
+    pushes: [],
+    errors: []
+  };
+  
+  watcher.handle = watch(watcher.localPath, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const localFilePath = path.join(watcher.localPath, filename.toString());
+    if (shouldIgnore(localFilePath, watcher.ignorePatterns, watcher.localPath)) return;
+    
+    watcher.pending.add(localFilePath);
+    scheduleWatchFlush(watcher);
+  });
+  watcher.handle.on('error', error => {
+    // The watched directory went away, keep the watcher around so its status shows why
+    recordWatchError(watcher, null, error);
+    closeWatcher(watcher);
+  });
+  
+  watchers.set(watcher.id, watcher);
+  return watcher;
+}
+
+function closeWatcher(watcher) {
+  watcher.active = false;
+  clearTimeout(watcher.timer);
+  watcher.handle.close();
+}
+
+function stopAllWatchers() {
+  for (const watcher of watchers.values()) {
+    if (watcher.active) closeWatcher(watcher);
+  }
+}
+
+function describeWatcher(watcher, limit = WATCH_DEFAULTS.statusLimit) {
+  return {
+    id: watcher.id,
+    profile: watcher.profile,
+    localPath: watcher.localPath,
+    remotePath: watcher.remotePath,
+    delete: watcher.delete,
+    debounce: watcher.debounce,
+    started: watcher.started,
+    active: watcher.active,
+    busy: watcher.busy,
+    pending: watcher.pending.size,
+    pushed: watcher.pushed,
+    failed: watcher.failed,
+    recentPushes: watcher.pushes.slice(0, limit),
+    recentErrors: watcher.errors.slice(0, limit)
+  };
+}
+
+function formatWatcher(status) {
+  const pushes = status.recentPushes.map(p => `    ${p.time} ${p.action} ${p.path}${p.size !== undefined ? ` (${p.size} bytes)` : ''}`);
+  const errors = status.recentErrors.map(e => `    ${e.time} ${e.path ? `${e.path}: ` : ''}${e.error}`);
+  
+  return `${status.id} (${status.active ? 'active' : 'stopped'})\n  Profile: ${status.profile}\n  Local: ${status.localPath}\n  Remote: ${status.remotePath}\n  Delete removed files: ${status.delete ? 'yes' : 'no'}\n  Pushed: ${status.pushed}, errors: ${status.failed}, pending: ${status.pending}${pushes.length > 0 ? `\n  Recent pushes:\n${pushes.join('\n')}` : ''}${errors.length > 0 ? `\n  Recent errors:\n${errors.join('\n')}` : ''}`;
+}
+
+const RESOURCE_DEFAULTS = {
+  pageSize: 100,
+  maxDepth: 3,
+  pollInterval: 30
+};
+
+const resourceSubscriptions = new Map();
+
+async function readProfiles() {
+  try {
+    const config = JSON.parse(await fs.readFile(path.join(process.cwd(), '.ftpconfig'), 'utf8'));
+    return Object.entries(config).filter(([name, profile]) => name !== 'deployments' && profile?.host);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function loadProfileConfig(profile) {
+  if (profile === 'env') {
+    return loadEnvConfig();
+  }
+  
+  const activeProfile = currentProfile;
+  try {
+    return await loadFTPConfig(profile);
+  } finally {
+    // Using another profile's files shouldn't switch the active one
+    currentProfile = activeProfile;
+  }
+}
+
+async function switchProfile(profile) {
+  currentConfig = profile === 'env' ? loadEnvConfig() : await loadFTPConfig(profile);
+  currentProfile = profile === 'env' ? null : profile;
+  return currentConfig;
+}
+
+async function resolveResource(uri) {
+  const match = /^ftp:\/\/([^/]+)\/?(.*)$/.exec(uri);
+  if (!match) {
+    throw new Error(`Not an FTP resource URI: ${uri}`);
+  }
+  
+  const profile = decodeURIComponent(match[1]);
+  const config = await loadProfileConfig(profile);
+  if (!hasCredentials(config)) {
+    throw new Error(`Profile "${profile}" has no credentials configured`);
+  }
+  
+  const resourcePath = match[2].split('/').map(decodeURIComponent).join('/').replace(/\/+$/, '') || '.';
+  return { profile, config, remotePath: resolveRemotePath(config, resourcePath) };
+}
+
+async function findRemoteEntry(client, useSFTP, config, remotePath) {
+  const root = config.root ? path.posix.normalize(config.root) : '.';
+  if (remotePath === root || remotePath === '/') {
+    return { name: remotePath, isDirectory: true, size: 0, modified: null };
+  }
+  return (await listRemoteDir(client, useSFTP, path.posix.dirname(remotePath))).get(path.posix.basename(remotePath)) || null;
+}
+
+function describeResource(profile, config, remotePath, entry) {
+  const mimeType = entry.isDirectory ? 'inode/directory' : getMimeType(remotePath);
+  return {
+    uri: getResourceUri(remotePath, profile, config),
+    name: entry.name,
+    ...(mimeType && { mimeType }),
+    ...(!entry.isDirectory && { size: entry.size })
+  };
+}
+
+async function listResources(cursor) {
+  let state;
+  if (cursor) {
+    try {
+      state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid resource cursor');
+    }
+  } else {
+    const config = currentConfig || await loadFTPConfig();
+    if (!hasCredentials(config)) return { resources: [] };
+    currentConfig = config;
+    state = { profile: currentProfile || 'env', queue: [{ path: resolveRemotePath(config, '.'), depth: 0 }] };
+  }
+  
+  const config = state.profile === (currentProfile || 'env') && currentConfig ? currentConfig : await loadProfileConfig(state.profile);
+  const pageSize = config.resourcePageSize || RESOURCE_DEFAULTS.pageSize;
+  const maxDepth = config.resourceDepth ?? RESOURCE_DEFAULTS.maxDepth;
+  const resources = [];
+  
+  // Walk directories breadth first, carrying the unvisited ones over in the cursor
+  await withClient(config, async (client, useSFTP) => {
+    while (state.queue.length > 0 && resources.length < pageSize) {
+      const { path: queued, depth } = state.queue.shift();
+      // The cursor comes back from the client, keep it inside the profile root
+      const dirPath = resolveRemotePath(config, queued);
+      for (const entry of (await listRemoteDir(client, useSFTP, dirPath)).values()) {
+        const remotePath = dirPath === '.' ? entry.name : `${dirPath.replace(/\/+$/, '')}/${entry.name}`;
+        resources.push(describeResource(state.profile, config, remotePath, entry));
+        if (entry.isDirectory && depth + 1 < maxDepth) {
+          state.queue.push({ path: remotePath, depth: depth + 1 });
+        }
+      }
+    }
+  });
+  
+  return {
+    resources,
+    ...(state.queue.length > 0 && { nextCursor: Buffer.from(JSON.stringify(state)).toString('base64url') })
+  };
+}
+
+async function listResourceTemplates() {
+  const templates = [{
+    uriTemplate: 'ftp://{profile}/{+path}',
+    name: 'Remote file',
+    description: 'A file or directory on a configured profile. Paths are relative to the profile root, or to the login directory without one; start the path with %2F for an absolute path.'
+  }];
+  
+  for (const [name, profile] of await readProfiles()) {
+    templates.push({
+      uriTemplate: `ftp://${encodeURIComponent(name)}/{+path}`,
+      name: `${name} files`,
+      description: `Files on ${profile.host}${profile.root ? ` under ${profile.root}` : ''}`
+    });
+  }
+  
+  return { resourceTemplates: templates };
+}
+
+async function readResource(uri) {
+  const { profile, config, remotePath } = await resolveResource(uri);
+  
+  return withClient(config, async (client, useSFTP) => {
+    const entry = await findRemoteEntry(client, useSFTP, config, remotePath);
+    if (!entry) {
+      throw new Error(`Resource not found: ${uri}`);
+    }
+    
+    if (entry.isDirectory) {
+      const files = [...(await client.list(remotePath))]
+        .filter(file => file.name !== '.' && file.name !== '..')
+        .map(file => {
+          const described = describeRemoteEntry(file, useSFTP, remotePath);
+          return { uri: getResourceUri(described.path, profile, config), ...described };
+        });
+      return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(files, null, 2) }] };
+    }
+    
+    const { buffer } = await readRemoteContent(client, useSFTP, remotePath, { maxSize: config.maxContentSize || CONTENT_DEFAULTS.maxSize });
+    const binary = buffer.subarray(0, 8000).includes(0);
+    const mimeType = getMimeType(remotePath) || (binary ? 'application/octet-stream' : 'text/plain');
+    const textual = !binary && (mimeType.startsWith('text/') || Object.values(TEXT_TYPES).includes(mimeType));
+    
+    return {
+      contents: [textual
+        ? { uri, mimeType, text: buffer.toString('utf8') }
+        : { uri, mimeType, blob: buffer.toString('base64') }]
+    };
+  }, { idempotent: true });
+}
+
+async function getResourceSignature(subscription) {
+  const { config, remotePath } = subscription;
+  
+  return withClient(config, async (client, useSFTP) => {
+    const entry = await findRemoteEntry(client, useSFTP, config, remotePath);
+    if (!entry) return 'missing';
+    if (!entry.isDirectory) return `${entry.size}:${entry.modified?.getTime()}`;
+    
+    // Directories change when any direct child is added, removed or modified
+    const children = [...(await listRemoteDir(client, useSFTP, remotePath)).values()];
+    return JSON.stringify(children.map(child => [child.name, child.size, child.modified?.getTime()]));
+  }, { idempotent: true });
+}
+
+async function checkSubscription(uri, subscription) {
+  if (subscription.checking) return;
+  subscription.checking = true;
+  
+  try {
+    const signature = await getResourceSignature(subscription);
+    if (resourceSubscriptions.get(uri) === subscription && signature !== subscription.signature) {
+      subscription.signature = signature;
+      await server.sendResourceUpdated({ uri });
+    }
+  } catch (error) {
+    console.error(`Could not check ${uri}: ${error.message}`);
+  } finally {
+    subscription.checking = false;
+  }
+}
+
+async function subscribeResource(uri) {
+  const subscription = await resolveResource(uri);
+  subscription.signature = await getResourceSignature(subscription);
+  
+  unsubscribeResource(uri);
+  const interval = (subscription.config.pollInterval ?? RESOURCE_DEFAULTS.pollInterval) * 1000;
+  subscription.timer = setInterval(() => checkSubscription(uri, subscription), interval);
+  // Polling alone shouldn't keep the server running
+  subscription.timer.unref();
+  resourceSubscriptions.set(uri, subscription);
+}
+
+function unsubscribeResource(uri) {
+  const subscription = resourceSubscriptions.get(uri);
+  if (subscription) {
+    clearInterval(subscription.timer);
+    resourceSubscriptions.delete(uri);
+  }
+}
+
+const ENTRY_OUTPUT = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    path: { type: "string" },
+    type: { type: "string", enum: ["file", "directory", "symlink"] },
+    size: { type: "number" },
+    modified: { type: ["string", "null"], description: "ISO 8601 modification time, when the server reports one" },
+    permissions: { type: ["string", "null"], description: "Unix permissions such as rwxr-xr-x, when the server reports them" }
+  },
+  required: ["name", "path", "type", "size", "modified", "permissions"]
+};
+
+const STRING_LIST_OUTPUT = { type: "array", items: { type: "string" } };
+
+const SYNC_OUTPUT_PROPERTIES = {
+  dryRun: { type: "boolean" },
+  cancelled: { type: "boolean" },
+  summary: {
+    type: "object",
+    properties: {
+      upload: { type: "number" },
+      download: { type: "number" },
+      delete: { type: "number" },
+      protected: { type: "number" },
+      skipped: { type: "number" },
+      ignored: { type: "number" },
+      conflicts: { type: "number" },
+      errors: { type: "number" }
+    }
+  },
+  files: {
+    type: "array",
+    description: "Per-file results, or the plan for a dry run. Paths are relative to the local directory",
+    items: {
+      type: "object",
+      properties: {
+        path: { type: "string" },
+        action: { type: "string", enum: ["upload", "download", "delete", "skip", "ignore"] },
+        reason: { type: "string" },
+        size: { type: "number" },
+        type: { type: "string" },
+        pattern: { type: "string" }
+      },
+      required: ["path", "action"]
+    }
+  },
+  conflicts: STRING_LIST_OUTPUT,
+  deleted: STRING_LIST_OUTPUT,
+  protected: STRING_LIST_OUTPUT,
+  errors: STRING_LIST_OUTPUT
+};
+
+const SYNC_OUTPUT_REQUIRED = ["dryRun", "cancelled", "summary", "files", "conflicts", "deleted", "protected", "errors"];
+
+const TRANSFER_OUTPUT = {
+  type: "object",
+  properties: {
+    localPath: { type: "string" },
+    remotePath: { type: "string" },
+    bytes: { type: "number" },
+    verified: { type: "string", description: "How the copy was checked: size, or the server hash algorithm" },
+    resumedAt: { type: ["number", "null"] },
+    attempts: { type: "number" }
+  },
+  required: ["localPath", "remotePath", "bytes", "verified", "resumedAt", "attempts"]
+};
+
+const BATCH_OUTPUT = {
+  type: "object",
+  properties: {
+    succeeded: { type: "number" },
+    failed: { type: "number" },
+    bytes: { type: "number" },
+    files: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          localPath: { type: "string" },
+          remotePath: { type: "string" },
+          status: { type: "string", enum: ["success", "failed"] },
+          size: { type: "number" },
+          error: { type: "string" }
+        },
+        required: ["localPath", "remotePath", "status"]
+      }
+    }
+  },
+  required: ["succeeded", "failed", "bytes", "files"]
+};
+
+const WATCHER_OUTPUT = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    profile: { type: "string" },
+    localPath: { type: "string" },
+    remotePath: { type: "string" },
+    delete: { type: "boolean" },
+    debounce: { type: "number" },
+    started: { type: "string" },
+    active: { type: "boolean" },
+    busy: { type: "boolean", description: "An upload round is running" },
+    pending: { type: "number", description: "Changed paths waiting for the next upload round" },
+    pushed: { type: "number" },
+    failed: { type: "number" },
+    recentPushes: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          time: { type: "string" },
+          path: { type: "string" },
+          action: { type: "string", enum: ["upload", "delete"] },
+          size: { type: "number" }
+        },
+        required: ["time", "path", "action"]
+      }
+    },
+    recentErrors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          time: { type: "string" },
+          path: { type: ["string", "null"] },
+          error: { type: "string" }
+        },
+        required: ["time", "path", "error"]
+      }
+    }
+  },
+  required: ["id", "profile", "localPath", "remotePath", "delete", "debounce", "started", "active", "busy", "pending", "pushed", "failed", "recentPushes", "recentErrors"]
+};
+
+const CONFIRMATION_OUTPUT_PROPERTIES = {
+  confirmationRequired: { type: "boolean" },
+  confirmToken: { type: "string", description: "Pass with the same arguments to execute the call" },
+  impact: STRING_LIST_OUTPUT,
+  expiresAt: { type: "string" }
+};
+
+// Tools that can answer with a confirmation token declare both result shapes
+function withConfirmation(schema) {
+  const { required, ...rest } = schema;
+  
+  return {
+    ...rest,
+    properties: { ...schema.properties, ...CONFIRMATION_OUTPUT_PROPERTIES },
+    anyOf: [{ required }, { required: ["confirmationRequired", "confirmToken", "impact", "expiresAt"] }]
+  };
+}
+
+function pathOutput(extraProperties = {}) {
+  return {
+    type: "object",
+    properties: { path: { type: "string" }, ...extraProperties },
+    required: ["path", ...Object.keys(extraProperties)]
+  };
+}
+
+const server = new Server(
+  {
+    name: "ftp-mcp-server",
+    version: "2.0.0",
+  },
+  {
+    capabilities: {
+      tools: {},
+      resources: { subscribe: true, listChanged: false },
+    },
+  }
+);
+
+server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
     tools: [
       {
@@ -295,36 +3870,270 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             profile: {
               type: "string",
-              description: "Profile name from .ftpconfig (e.g., 'production', 'staging')"
+              description: "Profile name from .ftpconfig (e.g., 'production', 'staging')"
+            },
+            useEnv: {
+              type: "boolean",
+              description: "Force use of environment variables instead of .ftpconfig",
+              default: false
+            }
+          }
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            profile: { type: "string" },
+            host: { type: "string" },
+            protocol: { type: "string", enum: ["ftp", "sftp"] }
+          },
+          required: ["profile", "host", "protocol"]
+        }
+      },
+      {
+        name: "ftp_trust_host",
+        description: "Record an SFTP server's host key in known_hosts (trust on first use)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            profile: {
+              type: "string",
+              description: "Profile name from .ftpconfig (defaults to the current profile)"
+            },
+            fingerprint: {
+              type: "string",
+              description: "Expected SHA256 fingerprint; the key is only recorded if it matches"
+            }
+          }
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            host: { type: "string" },
+            keyType: { type: "string" },
+            fingerprint: { type: "string" },
+            alreadyTrusted: { type: "boolean" },
+            knownHostsPath: { type: "string" }
+          },
+          required: ["host", "keyType", "fingerprint", "alreadyTrusted", "knownHostsPath"]
+        }
+      },
+      {
+        name: "ftp_deploy",
+        description: "Run a named deployment preset from .ftpconfig, including its before/after hooks",
+        inputSchema: {
+          type: "object",
+          properties: {
+            deployment: {
+              type: "string",
+              description: "Deployment name from .ftpconfig deployments (e.g., 'deploy-frontend', 'deploy-api')"
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Return the planned uploads, skips and ignores without transferring anything",
+              default: false
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
+            }
+          },
+          required: ["deployment"]
+        },
+        outputSchema: withConfirmation({
+          type: "object",
+          properties: {
+            deployment: { type: "string" },
+            deployId: { type: ["string", "null"], description: "Null for dry runs" },
+            profile: { type: "string" },
+            local: { type: "string" },
+            remote: { type: "string" },
+            ...SYNC_OUTPUT_PROPERTIES,
+            hooks: {
+              type: "array",
+              description: "Before and after hooks with their captured output. Dry runs list them as skipped",
+              items: {
+                type: "object",
+                properties: {
+                  stage: { type: "string", enum: ["before", "after"] },
+                  hook: { type: "string" },
+                  status: { type: "string", enum: ["ok", "failed", "skipped"] },
+                  output: { type: "string" },
+                  error: { type: "string" },
+                  durationMs: { type: "number" }
+                },
+                required: ["stage", "hook", "status", "output"]
+              }
+            }
+          },
+          required: ["deployment", "deployId", "profile", "local", "remote", ...SYNC_OUTPUT_REQUIRED, "hooks"]
+        })
+      },
+      {
+        name: "ftp_list_deployments",
+        description: "List all available deployment presets from .ftpconfig",
+        inputSchema: {
+          type: "object",
+          properties: {}
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            deployments: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string" },
+                  profile: { type: "string" },
+                  local: { type: "string" },
+                  remote: { type: "string" },
+                  description: { type: ["string", "null"] }
+                },
+                required: ["name", "profile", "local", "remote", "description"]
+              }
+            }
+          },
+          required: ["deployments"]
+        }
+      },
+      {
+        name: "ftp_deploy_history",
+        description: "List past ftp_deploy runs with the files each one changed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            deployment: {
+              type: "string",
+              description: "Only show runs of this deployment preset"
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of runs to show (most recent first)",
+              default: 10
+            }
+          }
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            entries: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  id: { type: "string" },
+                  deployment: { type: "string" },
+                  profile: { type: "string" },
+                  remote: { type: "string" },
+                  timestamp: { type: "string" },
+                  files: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        path: { type: "string" },
+                        remotePath: { type: "string" },
+                        action: { type: "string", enum: ["created", "updated", "deleted"] },
+                        type: { type: "string" },
+                        backup: { type: "boolean" }
+                      }
+                    }
+                  },
+                  errors: STRING_LIST_OUTPUT,
+                  rolledBack: { type: ["string", "null"] }
+                },
+                required: ["id", "deployment", "profile", "remote", "timestamp", "files", "errors", "rolledBack"]
+              }
+            }
+          },
+          required: ["entries"]
+        }
+      },
+      {
+        name: "ftp_rollback",
+        description: "Undo a past ftp_deploy run, restoring the previous versions of the files it changed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Deploy ID from ftp_deploy or ftp_deploy_history"
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
+            }
+          },
+          required: ["id"]
+        },
+        outputSchema: withConfirmation({
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            restored: STRING_LIST_OUTPUT,
+            removed: STRING_LIST_OUTPUT,
+            errors: STRING_LIST_OUTPUT
+          },
+          required: ["id", "restored", "removed", "errors"]
+        })
+      },
+      {
+        name: "ftp_audit_log",
+        description: "Query the local audit log of calls that changed a remote server",
+        inputSchema: {
+          type: "object",
+          properties: {
+            profile: {
+              type: "string",
+              description: "Only show calls made with this profile"
+            },
+            path: {
+              type: "string",
+              description: "Only show calls that touched a remote path containing this text or matching this glob"
+            },
+            tool: {
+              type: "string",
+              description: "Only show calls to this tool, e.g. ftp_delete"
             },
-            useEnv: {
-              type: "boolean",
-              description: "Force use of environment variables instead of .ftpconfig",
-              default: false
+            since: {
+              type: "string",
+              description: "Only show calls at or after this ISO 8601 timestamp"
+            },
+            until: {
+              type: "string",
+              description: "Only show calls at or before this ISO 8601 timestamp"
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of entries to show (most recent first)",
+              default: 20
             }
           }
-        }
-      },
-      {
-        name: "ftp_deploy",
-        description: "Run a named deployment preset from .ftpconfig",
-        inputSchema: {
+        },
+        outputSchema: {
           type: "object",
           properties: {
-            deployment: {
-              type: "string",
-              description: "Deployment name from .ftpconfig deployments (e.g., 'deploy-frontend', 'deploy-api')"
+            entries: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  timestamp: { type: "string" },
+                  profile: { type: "string" },
+                  host: { type: ["string", "null"] },
+                  tool: { type: "string" },
+                  arguments: { type: "object" },
+                  paths: STRING_LIST_OUTPUT,
+                  bytes: { type: ["number", "null"] },
+                  outcome: { type: "string", enum: ["success", "error", "cancelled", "confirmation required"] },
+                  durationMs: { type: "number" },
+                  error: { type: "string" }
+                },
+                required: ["timestamp", "profile", "host", "tool", "arguments", "paths", "bytes", "outcome"]
+              }
             }
           },
-          required: ["deployment"]
-        }
-      },
-      {
-        name: "ftp_list_deployments",
-        description: "List all available deployment presets from .ftpconfig",
-        inputSchema: {
-          type: "object",
-          properties: {}
+          required: ["entries"]
         }
       },
       {
@@ -339,7 +4148,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               default: "."
             }
           }
-        }
+        },
+        outputSchema: pathOutput({ entries: { type: "array", items: ENTRY_OUTPUT } })
       },
       {
         name: "ftp_get_contents",
@@ -350,9 +4160,39 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             path: {
               type: "string",
               description: "Remote file path to read"
+            },
+            encoding: {
+              type: "string",
+              description: "Decode the content as text with this encoding (utf8, latin1, base64, hex, utf16le, ascii). Without it, images come back as image content, binary files as a blob and everything else as UTF-8 text"
+            },
+            offset: {
+              type: "number",
+              description: "Byte offset to start reading at",
+              default: 0
+            },
+            length: {
+              type: "number",
+              description: "Number of bytes to read (defaults to the rest of the file)"
+            },
+            maxSize: {
+              type: "number",
+              description: "Refuse to read more than this many bytes (defaults to the profile's maxContentSize, or 1 MB)"
             }
           },
           required: ["path"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            path: { type: "string" },
+            size: { type: ["number", "null"], description: "Size of the whole remote file, null when the server can't report it" },
+            offset: { type: "number" },
+            bytes: { type: "number", description: "Number of bytes returned" },
+            mimeType: { type: ["string", "null"], description: "Set for images and binary files" },
+            contentEncoding: { type: "string", description: "Encoding of content: a text encoding, or base64 for binary data" },
+            content: { type: "string" }
+          },
+          required: ["path", "size", "offset", "bytes", "mimeType", "contentEncoding", "content"]
         }
       },
       {
@@ -368,10 +4208,84 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             content: {
               type: "string",
               description: "Content to write to the file"
+            },
+            encoding: {
+              type: "string",
+              description: "How the content is encoded: utf8 (default), latin1, base64, hex, utf16le or ascii. Use base64 for binary files",
+              default: "utf8"
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
             }
           },
           required: ["path", "content"]
-        }
+        },
+        outputSchema: withConfirmation(pathOutput({ bytes: { type: "number" } }))
+      },
+      {
+        name: "ftp_edit",
+        description: "Edit a remote file in place with exact text replacements or a unified diff, and return the resulting diff",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Remote file path to edit"
+            },
+            edits: {
+              type: "array",
+              description: "Replacements applied in order. Each oldText must match exactly once unless replaceAll is set",
+              items: {
+                type: "object",
+                properties: {
+                  oldText: { type: "string" },
+                  newText: { type: "string" },
+                  replaceAll: { type: "boolean", default: false }
+                },
+                required: ["oldText", "newText"]
+              }
+            },
+            patch: {
+              type: "string",
+              description: "Unified diff to apply instead of edits"
+            },
+            expectedHash: {
+              type: "string",
+              description: "sha256 of the content the edit was based on; the edit is refused if the file changed"
+            },
+            expectedSize: {
+              type: "number",
+              description: "Size in bytes the edit was based on (from ftp_stat)"
+            },
+            expectedModified: {
+              type: ["string", "number"],
+              description: "Modification time the edit was based on (from ftp_stat)"
+            },
+            encoding: {
+              type: "string",
+              description: "Text encoding of the file (utf8, latin1, utf16le...)",
+              default: "utf8"
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Return the diff without writing the file",
+              default: false
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
+            }
+          },
+          required: ["path"]
+        },
+        outputSchema: withConfirmation(pathOutput({
+          changed: { type: "boolean" },
+          dryRun: { type: "boolean" },
+          replacements: { type: "number" },
+          hash: { type: "string", description: "sha256 of the resulting content" },
+          diff: { type: ["string", "null"] }
+        }))
       },
       {
         name: "ftp_stat",
@@ -385,6 +4299,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             }
           },
           required: ["path"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            ...ENTRY_OUTPUT.properties,
+            accessed: { type: ["string", "null"] }
+          },
+          required: [...ENTRY_OUTPUT.required, "accessed"]
         }
       },
       {
@@ -399,7 +4321,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             }
           },
           required: ["path"]
-        }
+        },
+        outputSchema: pathOutput({ exists: { type: "boolean" } })
       },
       {
         name: "ftp_tree",
@@ -418,7 +4341,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               default: 10
             }
           }
-        }
+        },
+        outputSchema: pathOutput({ entries: { type: "array", items: ENTRY_OUTPUT } })
       },
       {
         name: "ftp_search",
@@ -437,25 +4361,125 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             }
           },
           required: ["pattern"]
-        }
+        },
+        outputSchema: pathOutput({ pattern: { type: "string" }, matches: { type: "array", items: ENTRY_OUTPUT } })
+      },
+      {
+        name: "ftp_grep",
+        description: "Search the contents of remote files and return path:line:snippet matches",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pattern: {
+              type: "string",
+              description: "Text to search for (a regular expression when regex is true)"
+            },
+            path: {
+              type: "string",
+              description: "Remote directory to search in",
+              default: "."
+            },
+            regex: {
+              type: "boolean",
+              description: "Treat the pattern as a regular expression instead of literal text",
+              default: false
+            },
+            ignoreCase: {
+              type: "boolean",
+              description: "Case-insensitive matching",
+              default: false
+            },
+            include: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only search files matching these globs (e.g., ['*.php'])"
+            },
+            exclude: {
+              type: "array",
+              items: { type: "string" },
+              description: "Skip files matching these globs (e.g., ['vendor/**'])"
+            },
+            maxFileSize: {
+              type: "number",
+              description: "Skip files larger than this many bytes",
+              default: 1048576
+            },
+            maxResults: {
+              type: "number",
+              description: "Stop after this many matches",
+              default: 100
+            },
+            maxDepth: {
+              type: "number",
+              description: "Maximum directory depth to search",
+              default: 10
+            },
+            serverSide: {
+              type: "boolean",
+              description: "On SFTP, run grep on the server over SSH when possible instead of reading every file (regexes use grep -P)",
+              default: true
+            }
+          },
+          required: ["pattern"]
+        },
+        outputSchema: pathOutput({
+          method: { type: "string", enum: ["ssh", "stream"] },
+          matches: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                path: { type: "string" },
+                line: { type: "number" },
+                text: { type: "string" }
+              },
+              required: ["path", "line", "text"]
+            }
+          },
+          truncated: { type: "boolean", description: "True when maxResults was reached" },
+          searched: { type: "number" },
+          tooLarge: { type: "number" },
+          errors: STRING_LIST_OUTPUT
+        })
       },
       {
         name: "ftp_copy",
-        description: "Duplicate files on server (SFTP only)",
+        description: "Duplicate a file or directory tree on the server",
         inputSchema: {
           type: "object",
           properties: {
             sourcePath: {
               type: "string",
-              description: "Source file path"
+              description: "Source file or directory path"
             },
             destPath: {
               type: "string",
-              description: "Destination file path"
+              description: "Destination path. Directories are copied recursively, merging into an existing destination"
+            },
+            serverSide: {
+              type: "boolean",
+              description: "SFTP only: run cp on the server over SSH, falling back to streaming when no shell is available",
+              default: false
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
             }
           },
           required: ["sourcePath", "destPath"]
-        }
+        },
+        outputSchema: withConfirmation({
+          type: "object",
+          properties: {
+            sourcePath: { type: "string" },
+            destPath: { type: "string" },
+            type: { type: "string", enum: ["file", "directory"] },
+            method: { type: "string", enum: ["ssh", "stream", "temp file"] },
+            files: { type: ["number", "null"], description: "Null when cp on the server copied a directory" },
+            bytes: { type: ["number", "null"] }
+          },
+          required: ["sourcePath", "destPath", "type", "method", "files", "bytes"]
+        })
       },
       {
         name: "ftp_batch_upload",
@@ -474,10 +4498,19 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 },
                 required: ["localPath", "remotePath"]
               }
+            },
+            concurrency: {
+              type: "number",
+              description: "Number of files to transfer at once over separate connections (defaults to the profile's concurrency, or 1)"
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
             }
           },
           required: ["files"]
-        }
+        },
+        outputSchema: withConfirmation(BATCH_OUTPUT)
       },
       {
         name: "ftp_batch_download",
@@ -496,14 +4529,221 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 },
                 required: ["remotePath", "localPath"]
               }
+            },
+            concurrency: {
+              type: "number",
+              description: "Number of files to transfer at once over separate connections (defaults to the profile's concurrency, or 1)"
+            }
+          },
+          required: ["files"]
+        },
+        outputSchema: BATCH_OUTPUT
+      },
+      {
+        name: "ftp_sync",
+        description: "Smart sync local ↔ remote (only changed files)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            localPath: {
+              type: "string",
+              description: "Local directory path"
+            },
+            remotePath: {
+              type: "string",
+              description: "Remote directory path"
+            },
+            direction: {
+              type: "string",
+              description: "Sync direction: 'upload', 'download', or 'both'",
+              enum: ["upload", "download", "both"],
+              default: "upload"
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Return the planned transfers, skips and ignores without transferring anything",
+              default: false
+            },
+            compare: {
+              type: "string",
+              description: "Change detection: 'mtime' compares timestamps, 'hash' compares size and content hash",
+              enum: ["mtime", "hash"],
+              default: "mtime"
+            },
+            delete: {
+              type: "boolean",
+              description: "Mirror mode: delete remote files and directories with no local counterpart (upload only, respects ignore patterns)",
+              default: false
+            },
+            concurrency: {
+              type: "number",
+              description: "Number of files to transfer at once over separate connections (defaults to the profile's concurrency, or 1)"
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
+            }
+          },
+          required: ["localPath", "remotePath"]
+        },
+        outputSchema: withConfirmation({
+          type: "object",
+          properties: {
+            localPath: { type: "string" },
+            remotePath: { type: "string" },
+            direction: { type: "string" },
+            ...SYNC_OUTPUT_PROPERTIES
+          },
+          required: ["localPath", "remotePath", "direction", ...SYNC_OUTPUT_REQUIRED]
+        })
+      },
+      {
+        name: "ftp_transfer",
+        description: "Copy a file or directory tree from one .ftpconfig profile to another, streaming directly between the two servers (only changed files)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            sourceProfile: {
+              type: "string",
+              description: "Profile to copy from (use 'env' for the environment variables)"
+            },
+            sourcePath: {
+              type: "string",
+              description: "Remote file or directory on the source profile"
+            },
+            destProfile: {
+              type: "string",
+              description: "Profile to copy to. Its policies apply, the active profile stays unchanged"
+            },
+            destPath: {
+              type: "string",
+              description: "Destination file or directory on the destination profile"
+            },
+            exclude: {
+              type: "array",
+              items: { type: "string" },
+              description: "Extra glob patterns to skip, on top of the default patterns and the source's .ftpignore and .gitignore"
+            },
+            compare: {
+              type: "string",
+              description: "Change detection: 'mtime' copies files that are newer on the source or differ in size, 'hash' compares size and content hash",
+              enum: ["mtime", "hash"],
+              default: "mtime"
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Return the planned copies, skips and ignores without transferring anything",
+              default: false
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the destination profile requires confirmation. Pass it with the same arguments to execute"
+            }
+          },
+          required: ["sourceProfile", "sourcePath", "destProfile", "destPath"]
+        },
+        outputSchema: withConfirmation({
+          type: "object",
+          properties: {
+            sourceProfile: { type: "string" },
+            sourcePath: { type: "string" },
+            destProfile: { type: "string" },
+            destPath: { type: "string" },
+            ...SYNC_OUTPUT_PROPERTIES
+          },
+          required: ["sourceProfile", "sourcePath", "destProfile", "destPath", ...SYNC_OUTPUT_REQUIRED]
+        })
+      },
+      {
+        name: "ftp_watch_start",
+        description: "Watch a local directory in the background and upload every change to a remote directory",
+        inputSchema: {
+          type: "object",
+          properties: {
+            localPath: {
+              type: "string",
+              description: "Local directory to watch"
+            },
+            remotePath: {
+              type: "string",
+              description: "Remote directory that receives the changes"
+            },
+            profile: {
+              type: "string",
+              description: "Profile to upload to (defaults to the active one). It becomes the active profile"
+            },
+            delete: {
+              type: "boolean",
+              description: "Delete remote files and directories when they are removed locally (respects ignore patterns)",
+              default: false
+            },
+            exclude: {
+              type: "array",
+              items: { type: "string" },
+              description: "Extra glob patterns to skip, on top of the default patterns, .ftpignore and .gitignore"
+            },
+            debounce: {
+              type: "number",
+              description: "Milliseconds to wait after the last change before uploading",
+              default: 500
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
+            }
+          },
+          required: ["localPath", "remotePath"]
+        },
+        outputSchema: withConfirmation(WATCHER_OUTPUT)
+      },
+      {
+        name: "ftp_watch_stop",
+        description: "Stop background watchers",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Watcher ID from ftp_watch_start (omit to stop all watchers)"
+            }
+          }
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            stopped: { type: "array", items: WATCHER_OUTPUT }
+          },
+          required: ["stopped"]
+        }
+      },
+      {
+        name: "ftp_watch_status",
+        description: "Show background watchers with their recently pushed files and errors",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Only show this watcher"
+            },
+            limit: {
+              type: "number",
+              description: "Number of recent pushes and errors to show per watcher",
+              default: 10
             }
+          }
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            watchers: { type: "array", items: WATCHER_OUTPUT }
           },
-          required: ["files"]
+          required: ["watchers"]
         }
       },
       {
-        name: "ftp_sync",
-        description: "Smart sync local ↔ remote (only changed files)",
+        name: "ftp_diff",
+        description: "Compare a local directory with a remote one without transferring anything",
         inputSchema: {
           type: "object",
           properties: {
@@ -515,14 +4755,41 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Remote directory path"
             },
-            direction: {
+            compare: {
               type: "string",
-              description: "Sync direction: 'upload', 'download', or 'both'",
-              enum: ["upload", "download", "both"],
-              default: "upload"
+              description: "How files are compared: 'mtime' flags files whose size differs or that are newer on either side, 'size' only looks at sizes, 'hash' compares content",
+              enum: ["mtime", "size", "hash"],
+              default: "mtime"
+            },
+            diffs: {
+              type: "boolean",
+              description: "Include unified diffs for changed text files",
+              default: false
             }
           },
           required: ["localPath", "remotePath"]
+        },
+        outputSchema: {
+          type: "object",
+          properties: {
+            localPath: { type: "string" },
+            remotePath: { type: "string" },
+            onlyLocal: STRING_LIST_OUTPUT,
+            onlyRemote: STRING_LIST_OUTPUT,
+            different: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: { path: { type: "string" }, reason: { type: "string" } },
+                required: ["path", "reason"]
+              }
+            },
+            identical: { type: "number" },
+            ignored: { type: "number" },
+            diffs: STRING_LIST_OUTPUT,
+            errors: STRING_LIST_OUTPUT
+          },
+          required: ["localPath", "remotePath", "onlyLocal", "onlyRemote", "different", "identical", "ignored", "diffs", "errors"]
         }
       },
       {
@@ -537,7 +4804,13 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               default: "."
             }
           }
-        }
+        },
+        outputSchema: pathOutput({
+          total: { type: "number" },
+          free: { type: "number" },
+          available: { type: "number" },
+          used: { type: "number" }
+        })
       },
       {
         name: "ftp_upload",
@@ -552,10 +4825,20 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             remotePath: {
               type: "string",
               description: "Remote destination path"
+            },
+            resume: {
+              type: "boolean",
+              description: "Continue an interrupted upload from the size of the existing remote file",
+              default: false
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
             }
           },
           required: ["localPath", "remotePath"]
-        }
+        },
+        outputSchema: withConfirmation(TRANSFER_OUTPUT)
       },
       {
         name: "ftp_download",
@@ -570,10 +4853,16 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             localPath: {
               type: "string",
               description: "Local destination path"
+            },
+            resume: {
+              type: "boolean",
+              description: "Continue an interrupted download from the size of the existing local file",
+              default: false
             }
           },
           required: ["remotePath", "localPath"]
-        }
+        },
+        outputSchema: TRANSFER_OUTPUT
       },
       {
         name: "ftp_delete",
@@ -584,10 +4873,15 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             path: {
               type: "string",
               description: "Remote file path to delete"
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
             }
           },
           required: ["path"]
-        }
+        },
+        outputSchema: withConfirmation(pathOutput())
       },
       {
         name: "ftp_mkdir",
@@ -601,7 +4895,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             }
           },
           required: ["path"]
-        }
+        },
+        outputSchema: pathOutput()
       },
       {
         name: "ftp_rmdir",
@@ -617,10 +4912,15 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "boolean",
               description: "Remove directory recursively",
               default: false
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
             }
           },
           required: ["path"]
-        }
+        },
+        outputSchema: withConfirmation(pathOutput({ recursive: { type: "boolean" } }))
       },
       {
         name: "ftp_chmod",
@@ -638,7 +4938,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             }
           },
           required: ["path", "mode"]
-        }
+        },
+        outputSchema: pathOutput({ mode: { type: "string" } })
       },
       {
         name: "ftp_rename",
@@ -653,16 +4954,535 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             newPath: {
               type: "string",
               description: "New file path"
+            },
+            confirmToken: {
+              type: "string",
+              description: "Token returned by a previous call when the profile requires confirmation. Pass it with the same arguments to execute"
             }
           },
           required: ["oldPath", "newPath"]
+        },
+        outputSchema: withConfirmation({
+          type: "object",
+          properties: {
+            oldPath: { type: "string" },
+            newPath: { type: "string" }
+          },
+          required: ["oldPath", "newPath"]
+        })
+      }
+    ]
+  };
+});
+
+async function handleToolCall(request, client, useSFTP, extra, audit = null) {
+  switch (request.params.name) {
+    case "ftp_list": {
+      const path = request.params.arguments?.path || ".";
+      let files;
+      
+      if (useSFTP) {
+        files = await client.list(path);
+        const formatted = files.map(f => 
+          `${f.type === 'd' ? 'DIR' : 'FILE'} ${f.name} (${f.size} bytes, ${f.rights?.user}${f.rights?.group}${f.rights?.other})`
+        ).join('\n');
+        return {
+          content: [{ type: "text", text: formatted || "Empty directory" }],
+          structuredContent: { path, entries: files.map(f => describeRemoteEntry(f, useSFTP, path)) }
+        };
+      } else {
+        files = await client.list(path);
+        const formatted = files.map(f => 
+          `${f.isDirectory ? 'DIR' : 'FILE'} ${f.name} (${f.size} bytes)`
+        ).join('\n');
+        return {
+          content: [{ type: "text", text: formatted || "Empty directory" }],
+          structuredContent: { path, entries: files.map(f => describeRemoteEntry(f, useSFTP, path)) }
+        };
+      }
+    }
+
+    case "ftp_get_contents": {
+      const { path, encoding, offset = 0, length = null, maxSize = currentConfig?.maxContentSize || CONTENT_DEFAULTS.maxSize } = request.params.arguments;
+      const { buffer, size } = await readRemoteContent(client, useSFTP, path, { offset, length, maxSize });
+      const item = formatRemoteContent(path, buffer, encoding);
+      
+      return {
+        content: [item],
+        structuredContent: {
+          path,
+          size,
+          offset,
+          bytes: buffer.length,
+          mimeType: item.mimeType || item.resource?.mimeType || null,
+          contentEncoding: item.type === "text" ? encoding || "utf8" : "base64",
+          content: item.type === "text" ? item.text : item.data || item.resource.blob
+        }
+      };
+    }
+
+    case "ftp_put_contents": {
+      const { path, content, encoding = "utf8" } = request.params.arguments;
+      checkEncoding(encoding);
+      const buffer = Buffer.from(content, encoding);
+      await writeRemoteBuffer(client, useSFTP, path, buffer);
+      if (audit) {
+        audit.bytes = buffer.length;
+      }
+      
+      return {
+        content: [{ type: "text", text: `Successfully wrote ${buffer.length} bytes to ${path}` }],
+        structuredContent: { path, bytes: buffer.length }
+      };
+    }
+
+    case "ftp_edit": {
+      const { path, ...options } = request.params.arguments;
+      const result = await editRemoteFile(client, useSFTP, path, { maxSize: currentConfig?.maxContentSize, ...options });
+      const structuredContent = {
+        path,
+        changed: result.changed,
+        dryRun: Boolean(options.dryRun),
+        replacements: result.replacements,
+        hash: result.hash,
+        diff: result.changed ? result.diff : null
+      };
+      
+      if (!result.changed) {
+        return {
+          content: [{ type: "text", text: `No changes, ${path} already matches\nsha256: ${result.hash}` }],
+          structuredContent
+        };
+      }
+      
+      return {
+        content: [{
+          type: "text",
+          text: `${options.dryRun ? 'Would edit' : 'Edited'} ${path}${result.replacements > 0 ? ` (${result.replacements} replacement${result.replacements === 1 ? '' : 's'})` : ''}\nsha256: ${result.hash}\n\n${result.diff}`
+        }],
+        structuredContent
+      };
+    }
+
+    case "ftp_stat": {
+      const { path } = request.params.arguments;
+      
+      if (useSFTP) {
+        const stats = await client.stat(path);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              size: stats.size,
+              modified: stats.modifyTime,
+              accessed: stats.accessTime,
+              permissions: stats.mode,
+              isDirectory: stats.isDirectory,
+              isFile: stats.isFile
+            }, null, 2)
+          }],
+          structuredContent: {
+            name: path.substring(path.lastIndexOf('/') + 1),
+            path,
+            type: stats.isDirectory ? 'directory' : stats.isSymbolicLink ? 'symlink' : 'file',
+            size: stats.size,
+            modified: stats.modifyTime ? new Date(stats.modifyTime).toISOString() : null,
+            permissions: [6, 3, 0].map(shift => formatPermissionBits(stats.mode >> shift)).join(''),
+            accessed: stats.accessTime ? new Date(stats.accessTime).toISOString() : null
+          }
+        };
+      } else {
+        const dirPath = path.substring(0, path.lastIndexOf('/')) || '.';
+        const fileName = path.substring(path.lastIndexOf('/') + 1);
+        const files = await client.list(dirPath);
+        const file = files.find(f => f.name === fileName);
+        
+        if (!file) {
+          throw new Error(`File not found: ${path}`);
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              size: file.size,
+              modified: file.modifiedAt || file.rawModifiedAt,
+              isDirectory: file.isDirectory,
+              isFile: file.isFile
+            }, null, 2)
+          }],
+          structuredContent: { ...describeRemoteEntry(file, useSFTP, dirPath), path, accessed: null }
+        };
+      }
+    }
+
+    case "ftp_exists": {
+      const { path } = request.params.arguments;
+      let exists = false;
+      
+      try {
+        if (useSFTP) {
+          await client.stat(path);
+          exists = true;
+        } else {
+          const dirPath = path.substring(0, path.lastIndexOf('/')) || '.';
+          const fileName = path.substring(path.lastIndexOf('/') + 1);
+          const files = await client.list(dirPath);
+          exists = files.some(f => f.name === fileName);
+        }
+      } catch (e) {
+        exists = false;
+      }
+      
+      return {
+        content: [{ type: "text", text: exists ? "true" : "false" }],
+        structuredContent: { path, exists }
+      };
+    }
+
+    case "ftp_tree": {
+      const { path = ".", maxDepth = 10 } = request.params.arguments || {};
+      const tree = await getTreeRecursive(client, useSFTP, path, 0, maxDepth, createProgress(request, extra));
+      
+      const formatted = tree.map(item => {
+        const indent = '  '.repeat((item.path.match(/\//g) || []).length);
+        return `${indent}${item.isDirectory ? '📁' : '📄'} ${item.name} ${!item.isDirectory ? `(${item.size} bytes)` : ''}`;
+      }).join('\n');
+      
+      return {
+        content: [{ type: "text", text: formatted || "Empty directory" }],
+        structuredContent: { path, entries: tree.map(({ isDirectory, ...entry }) => entry) }
+      };
+    }
+
+    case "ftp_search": {
+      const { pattern, path = "." } = request.params.arguments;
+      const tree = await getTreeRecursive(client, useSFTP, path, 0, 10);
+      
+      const regex = new RegExp(pattern.replace(/\*/g, '.*').replace(/\?/g, '.'));
+      const matches = tree.filter(item => regex.test(item.name));
+      
+      const formatted = matches.map(item => 
+        `${item.path} (${item.isDirectory ? 'DIR' : item.size + ' bytes'})`
+      ).join('\n');
+      
+      return {
+        content: [{ type: "text", text: formatted || "No matches found" }],
+        structuredContent: { path, pattern, matches: matches.map(({ isDirectory, ...entry }) => entry) }
+      };
+    }
+
+    case "ftp_grep": {
+      const { pattern, path = ".", ...options } = request.params.arguments;
+      const result = await grepRemote(client, useSFTP, path, pattern, options, createProgress(request, extra));
+      const maxResults = options.maxResults || GREP_DEFAULTS.maxResults;
+      
+      const formatted = result.hits.map(hit => `${hit.path}:${hit.line}:${hit.snippet}`).join('\n');
+      const summary = `Matches: ${result.hits.length}${result.hits.length >= maxResults ? ` (stopped at maxResults)` : ''}\nFiles searched: ${result.searched}${result.tooLarge > 0 ? `\nSkipped (larger than maxFileSize): ${result.tooLarge}` : ''}${result.errors.length > 0 ? '\n\nErrors:\n' + result.errors.join('\n') : ''}`;
+      
+      return {
+        content: [{ type: "text", text: `${formatted || "No matches found"}\n\n${summary}` }],
+        structuredContent: {
+          path,
+          method: result.method,
+          matches: result.hits.map(hit => ({ path: hit.path, line: hit.line, text: hit.snippet })),
+          truncated: result.hits.length >= maxResults,
+          searched: result.searched,
+          tooLarge: result.tooLarge,
+          errors: result.errors
+        }
+      };
+    }
+
+    case "ftp_copy": {
+      const { sourcePath, destPath, serverSide = false } = request.params.arguments;
+      const entry = await findRemoteEntry(client, useSFTP, currentConfig, sourcePath);
+      if (!entry) {
+        throw new Error(`Source not found: ${sourcePath}`);
+      }
+      
+      const result = await copyRemote(client, useSFTP, sourcePath, destPath, entry, { serverSide, progress: createProgress(request, extra) });
+      const type = entry.isDirectory ? 'directory' : 'file';
+      if (audit) {
+        audit.bytes = result.bytes;
+      }
+      
+      return {
+        content: [{
+          type: "text",
+          text: `Successfully copied ${sourcePath} to ${destPath}${result.method === 'ssh' ? ' on the server' : ''}${entry.isDirectory && result.files !== null ? `\n${result.files} files, ${result.bytes} bytes` : ''}`
+        }],
+        structuredContent: { sourcePath, destPath, type, method: result.method, files: result.files, bytes: result.bytes }
+      };
+    }
+
+    case "ftp_batch_upload": {
+      const { files, concurrency } = request.params.arguments;
+      const results = { success: [], failed: [], files: [] };
+      const transfers = createTransferQueue(client, useSFTP, concurrency || currentConfig?.concurrency || 1, createProgress(request, extra));
+      
+      for (const file of files) {
+        await queueTransfer(transfers, async transferClient => {
+          const { size } = await fs.stat(file.localPath);
+          await uploadFile(transferClient, useSFTP, file.localPath, file.remotePath);
+          results.success.push(file.remotePath);
+          results.files.push({ localPath: file.localPath, remotePath: file.remotePath, status: 'success', size });
+          return size;
+        }, error => {
+          results.failed.push({ path: file.remotePath, error: error.message });
+          results.files.push({ localPath: file.localPath, remotePath: file.remotePath, status: 'failed', error: error.message });
+        });
+      }
+      await drainTransferQueue(transfers);
+      if (audit) {
+        audit.paths = results.success;
+        audit.bytes = transfers.progress.bytes;
+      }
+      
+      return {
+        content: [{
+          type: "text",
+          text: `Uploaded: ${results.success.length}\nFailed: ${results.failed.length}\n${results.failed.length > 0 ? '\nErrors:\n' + results.failed.map(f => `${f.path}: ${f.error}`).join('\n') : ''}`
+        }],
+        structuredContent: { succeeded: results.success.length, failed: results.failed.length, bytes: transfers.progress.bytes, files: results.files }
+      };
+    }
+
+    case "ftp_batch_download": {
+      const { files, concurrency } = request.params.arguments;
+      const results = { success: [], failed: [], files: [] };
+      const transfers = createTransferQueue(client, useSFTP, concurrency || currentConfig?.concurrency || 1, createProgress(request, extra));
+      
+      for (const file of files) {
+        await queueTransfer(transfers, async transferClient => {
+          await downloadFile(transferClient, useSFTP, file.remotePath, file.localPath);
+          const { size } = await fs.stat(file.localPath);
+          results.success.push(file.remotePath);
+          results.files.push({ localPath: file.localPath, remotePath: file.remotePath, status: 'success', size });
+          return size;
+        }, error => {
+          results.failed.push({ path: file.remotePath, error: error.message });
+          results.files.push({ localPath: file.localPath, remotePath: file.remotePath, status: 'failed', error: error.message });
+        });
+      }
+      await drainTransferQueue(transfers);
+      
+      return {
+        content: [{
+          type: "text",
+          text: `Downloaded: ${results.success.length}\nFailed: ${results.failed.length}\n${results.failed.length > 0 ? '\nErrors:\n' + results.failed.map(f => `${f.path}: ${f.error}`).join('\n') : ''}`
+        }],
+        structuredContent: { succeeded: results.success.length, failed: results.failed.length, bytes: transfers.progress.bytes, files: results.files }
+      };
+    }
+
+    case "ftp_sync": {
+      const { localPath, remotePath, direction = "upload", dryRun = false, compare = "mtime", delete: deleteOrphans = false, concurrency } = request.params.arguments;
+      const stats = await syncFiles(client, useSFTP, localPath, remotePath, direction, [], { dryRun, compare, delete: deleteOrphans, concurrency, progress: createProgress(request, extra) });
+      recordSyncAudit(audit, remotePath, stats);
+      
+      if (dryRun) {
+        return {
+          content: [{
+            type: "text",
+            text: formatSyncPlan(stats, { localPath, remotePath, direction })
+          }],
+          structuredContent: { localPath, remotePath, direction, ...getSyncResult(stats, true) }
+        };
+      }
+      
+      return {
+        content: [{
+          type: "text",
+          text: `Sync ${stats.cancelled ? 'cancelled' : 'complete'}:\nUploaded: ${stats.uploaded}\nDownloaded: ${stats.downloaded}\nSkipped: ${stats.skipped}\nIgnored: ${stats.ignored}\nConflicts: ${stats.conflicts.length}\n${stats.conflicts.length > 0 ? '\nConflicts (not transferred):\n' + stats.conflicts.join('\n') + '\n' : ''}${formatDeleted(stats)}${formatProtected(stats)}${stats.errors.length > 0 ? '\nErrors:\n' + stats.errors.join('\n') : ''}`
+        }],
+        structuredContent: { localPath, remotePath, direction, ...getSyncResult(stats, false) }
+      };
+    }
+
+    case "ftp_diff": {
+      const { localPath, remotePath, compare = "mtime", diffs = false } = request.params.arguments;
+      const result = await diffDirectories(client, useSFTP, localPath, remotePath, {
+        compare,
+        diffs,
+        maxSize: currentConfig?.maxContentSize,
+        progress: createProgress(request, extra)
+      });
+      
+      const section = (title, items) => items.length > 0 ? `\n${title} (${items.length}):\n${items.join('\n')}\n` : '';
+      const summary = `Only local: ${result.onlyLocal.length}\nOnly remote: ${result.onlyRemote.length}\nDifferent: ${result.different.length}\nIdentical: ${result.identical}\nIgnored: ${result.ignored}\n`;
+      
+      return {
+        content: [{
+          type: "text",
+          text: `${summary}${section('Only local', result.onlyLocal)}${section('Only remote', result.onlyRemote)}${section('Different', result.different.map(f => `${f.path} (${f.reason})`))}${result.diffs?.length > 0 ? '\n' + result.diffs.join('\n\n') + '\n' : ''}${result.errors.length > 0 ? '\nErrors:\n' + result.errors.join('\n') : ''}`
+        }],
+        structuredContent: {
+          localPath,
+          remotePath,
+          onlyLocal: result.onlyLocal,
+          onlyRemote: result.onlyRemote,
+          different: result.different.map(f => ({ path: f.path, reason: f.reason })),
+          identical: result.identical,
+          ignored: result.ignored,
+          diffs: result.diffs || [],
+          errors: result.errors
+        }
+      };
+    }
+
+    case "ftp_disk_space": {
+      const { path = "." } = request.params.arguments || {};
+      
+      if (!useSFTP) {
+        return {
+          content: [{ type: "text", text: "Error: ftp_disk_space is only supported for SFTP connections" }],
+          isError: true
+        };
+      }
+      
+      try {
+        const sftp = await client.sftp();
+        const diskSpace = await new Promise((resolve, reject) => {
+          sftp.ext_openssh_statvfs(path, (err, stats) => {
+            if (err) reject(err);
+            else resolve(stats);
+          });
+        });
+        
+        const space = {
+          total: diskSpace.blocks * diskSpace.bsize,
+          free: diskSpace.bfree * diskSpace.bsize,
+          available: diskSpace.bavail * diskSpace.bsize,
+          used: (diskSpace.blocks - diskSpace.bfree) * diskSpace.bsize
+        };
+        
+        return {
+          content: [{ type: "text", text: JSON.stringify(space, null, 2) }],
+          structuredContent: { path, ...space }
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Disk space info not available: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+
+    case "ftp_upload": {
+      const { localPath, remotePath, resume = false } = request.params.arguments;
+      const result = await transferWithResume(client, useSFTP, 'upload', localPath, remotePath, resume);
+      if (audit) {
+        audit.bytes = (await fs.stat(localPath)).size;
+      }
+      
+      return {
+        content: [{ type: "text", text: `Successfully uploaded ${localPath} to ${remotePath}${formatTransferDetails(result)}` }],
+        structuredContent: await getTransferOutput(localPath, remotePath, result)
+      };
+    }
+
+    case "ftp_download": {
+      const { remotePath, localPath, resume = false } = request.params.arguments;
+      const result = await transferWithResume(client, useSFTP, 'download', localPath, remotePath, resume);
+      
+      return {
+        content: [{ type: "text", text: `Successfully downloaded ${remotePath} to ${localPath}${formatTransferDetails(result)}` }],
+        structuredContent: await getTransferOutput(localPath, remotePath, result)
+      };
+    }
+
+    case "ftp_delete": {
+      const { path } = request.params.arguments;
+      
+      if (useSFTP) {
+        await client.delete(path);
+      } else {
+        await client.remove(path);
+      }
+      
+      return {
+        content: [{ type: "text", text: `Successfully deleted ${path}` }],
+        structuredContent: { path }
+      };
+    }
+
+    case "ftp_mkdir": {
+      const { path } = request.params.arguments;
+      
+      if (useSFTP) {
+        await client.mkdir(path, true);
+      } else {
+        await client.ensureDir(path);
+      }
+      
+      return {
+        content: [{ type: "text", text: `Successfully created directory ${path}` }],
+        structuredContent: { path }
+      };
+    }
+
+    case "ftp_rmdir": {
+      const { path, recursive } = request.params.arguments;
+      
+      if (useSFTP) {
+        await client.rmdir(path, recursive);
+      } else {
+        if (recursive) {
+          await client.removeDir(path);
+        } else {
+          await client.remove(path);
         }
       }
-    ]
-  };
-});
+      
+      return {
+        content: [{ type: "text", text: `Successfully removed directory ${path}` }],
+        structuredContent: { path, recursive: Boolean(recursive) }
+      };
+    }
+
+    case "ftp_chmod": {
+      const { path, mode } = request.params.arguments;
+      
+      if (!useSFTP) {
+        return {
+          content: [{ type: "text", text: "Error: chmod is only supported for SFTP connections" }],
+          isError: true
+        };
+      }
+      
+      await client.chmod(path, mode);
+      
+      return {
+        content: [{ type: "text", text: `Successfully changed permissions of ${path} to ${mode}` }],
+        structuredContent: { path, mode }
+      };
+    }
+
+    case "ftp_rename": {
+      const { oldPath, newPath } = request.params.arguments;
+      
+      if (useSFTP) {
+        await client.rename(oldPath, newPath);
+      } else {
+        await client.rename(oldPath, newPath);
+      }
+      
+      return {
+        content: [{ type: "text", text: `Successfully renamed ${oldPath} to ${newPath}` }],
+        structuredContent: { oldPath, newPath }
+      };
+    }
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    default:
+      return {
+        content: [{ type: "text", text: `Unknown tool: ${request.params.name}` }],
+        isError: true
+      };
+  }
+}
+
+async function callTool(request, extra, audit) {
   if (request.params.name === "ftp_list_deployments") {
     try {
       const configPath = path.join(process.cwd(), '.ftpconfig');
@@ -674,7 +5494,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [{
             type: "text",
             text: "No deployments configured in .ftpconfig"
-          }]
+          }],
+          structuredContent: { deployments: [] }
         };
       }
       
@@ -686,7 +5507,16 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         content: [{
           type: "text",
           text: `Available deployments:\n\n${deploymentList}`
-        }]
+        }],
+        structuredContent: {
+          deployments: Object.entries(config.deployments).map(([name, deploy]) => ({
+            name,
+            profile: deploy.profile,
+            local: deploy.local,
+            remote: deploy.remote,
+            description: deploy.description || null
+          }))
+        }
       };
     } catch (error) {
       return {
@@ -696,9 +5526,221 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
   }
 
+  if (request.params.name === "ftp_watch_start") {
+    try {
+      const { localPath, remotePath, profile, delete: deleteRemoved = false, exclude = [], debounce = WATCH_DEFAULTS.debounce, confirmToken } = request.params.arguments;
+      if (profile) {
+        await switchProfile(profile);
+      } else if (!currentConfig) {
+        currentConfig = await loadFTPConfig();
+      }
+      checkReadOnly(currentConfig, 'ftp_watch_start');
+      
+      if (!hasCredentials(currentConfig)) {
+        return {
+          content: [{ type: "text", text: "Error: FTP credentials not configured. Use ftp_connect or pass a profile." }],
+          isError: true
+        };
+      }
+      if (!(await fs.stat(localPath)).isDirectory()) {
+        throw new Error(`${localPath} is not a directory`);
+      }
+      
+      const profileName = currentProfile || 'environment variables';
+      const resolvedLocal = path.resolve(localPath);
+      const resolvedRemote = resolveRemotePath(currentConfig, remotePath);
+      const existing = [...watchers.values()].find(w => w.active && w.localPath === resolvedLocal && w.profile === profileName && w.remotePath === resolvedRemote);
+      if (existing) {
+        throw new Error(`${localPath} is already watched by ${existing.id}`);
+      }
+      
+      if (requiresConfirmation(currentConfig, 'ftp_watch_start')) {
+        if (confirmToken) {
+          consumeConfirmToken('ftp_watch_start', request.params.arguments);
+        } else {
+          if (audit) {
+            audit.outcome = 'confirmation required';
+          }
+          return issueConfirmToken('ftp_watch_start', request.params.arguments, [
+            `Upload every change in ${localPath} to ${remotePath} until stopped`,
+            deleteRemoved ? 'Files removed locally are deleted from the server' : 'Files removed locally are kept on the server'
+          ]);
+        }
+      }
+      
+      // Fail now on bad credentials or paths rather than on the first change
+      await withClient(currentConfig, (client, useSFTP) => ensureRemoteDir(client, useSFTP, resolvedRemote), { idempotent: true });
+      
+      const watcher = startWatcher({
+        profile: profileName,
+        config: currentConfig,
+        localPath: resolvedLocal,
+        remotePath: resolvedRemote,
+        delete: deleteRemoved,
+        debounce,
+        ignorePatterns: [...await loadIgnorePatterns(resolvedLocal), ...exclude]
+      });
+      if (audit) {
+        audit.paths = [resolvedRemote];
+      }
+      
+      return {
+        content: [{
+          type: "text",
+          text: `Started ${watcher.id}: uploading changes in ${localPath} to ${remotePath} on ${profileName}${deleteRemoved ? ', deleting removed files' : ''}.\nUse ftp_watch_status to see what was pushed and ftp_watch_stop to end it.`
+        }],
+        structuredContent: describeWatcher(watcher)
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+  
+  if (request.params.name === "ftp_watch_stop") {
+    const { id } = request.params.arguments || {};
+    const stopping = id ? [watchers.get(id)].filter(Boolean) : [...watchers.values()];
+    
+    if (id && stopping.length === 0) {
+      return {
+        content: [{ type: "text", text: `Error: No watcher with ID "${id}"` }],
+        isError: true
+      };
+    }
+    
+    for (const watcher of stopping) {
+      if (watcher.active) closeWatcher(watcher);
+      watchers.delete(watcher.id);
+    }
+    const stopped = stopping.map(watcher => describeWatcher(watcher));
+    
+    return {
+      content: [{
+        type: "text",
+        text: stopped.length === 0 ? 'No watchers running' : `Stopped ${stopped.length} watcher${stopped.length === 1 ? '' : 's'}:\n\n${stopped.map(formatWatcher).join('\n\n')}`
+      }],
+      structuredContent: { stopped }
+    };
+  }
+  
+  if (request.params.name === "ftp_watch_status") {
+    const { id, limit = WATCH_DEFAULTS.statusLimit } = request.params.arguments || {};
+    const listed = id ? [watchers.get(id)].filter(Boolean) : [...watchers.values()];
+    
+    if (id && listed.length === 0) {
+      return {
+        content: [{ type: "text", text: `Error: No watcher with ID "${id}"` }],
+        isError: true
+      };
+    }
+    
+    const statuses = listed.map(watcher => describeWatcher(watcher, limit));
+    return {
+      content: [{
+        type: "text",
+        text: statuses.length === 0 ? 'No watchers running. Start one with ftp_watch_start.' : statuses.map(formatWatcher).join('\n\n')
+      }],
+      structuredContent: { watchers: statuses }
+    };
+  }
+  
+  if (request.params.name === "ftp_transfer") {
+    try {
+      const { sourceProfile, sourcePath, destProfile, destPath, exclude = [], compare, dryRun = false, confirmToken } = request.params.arguments;
+      const sourceConfig = await loadProfileConfig(sourceProfile);
+      // The destination's policies apply, without making it the active profile for later calls
+      const destConfig = await loadProfileConfig(destProfile);
+      const destName = destProfile === 'env' ? null : destProfile;
+      if (audit) {
+        audit.source = { profile: destName, config: destConfig };
+      }
+      checkReadOnly(destConfig, 'ftp_transfer', { dryRun }, destName);
+      
+      for (const [profile, config] of [[sourceProfile, sourceConfig], [destProfile, destConfig]]) {
+        if (!hasCredentials(config)) {
+          return {
+            content: [{ type: "text", text: `Error: Profile "${profile}" has no credentials configured` }],
+            isError: true
+          };
+        }
+      }
+      
+      const sourceRoot = resolveRemotePath(sourceConfig, sourcePath);
+      const destRoot = resolveRemotePath(destConfig, destPath);
+      const sourceLease = await acquireClient(sourceConfig);
+      let destLease = null;
+      
+      try {
+        // Both sides can share one pool, so don't wait for a second connection it will never hand out
+        const maxConnections = destConfig.maxConnections || POOL_DEFAULTS.maxConnections;
+        if (getPool(sourceConfig) !== getPool(destConfig) || maxConnections > 1) {
+          destLease = await acquireClient(destConfig);
+        }
+        const { client, useSFTP } = destLease || sourceLease;
+        const source = { client: sourceLease.client, useSFTP: sourceLease.useSFTP, config: sourceConfig };
+        const target = { client, useSFTP, config: destConfig };
+        const description = `${sourceProfile}:${sourcePath} to ${destProfile}:${destPath}`;
+        
+        if (!dryRun && requiresConfirmation(destConfig, 'ftp_transfer')) {
+          if (confirmToken) {
+            consumeConfirmToken('ftp_transfer', request.params.arguments);
+          } else {
+            const preview = await transferBetweenRemotes(source, target, sourceRoot, destRoot, { dryRun: true, compare, exclude });
+            if (audit) {
+              audit.outcome = 'confirmation required';
+            }
+            return issueConfirmToken('ftp_transfer', request.params.arguments, [
+              `Copy ${description}`,
+              `Copy: ${preview.uploaded}`,
+              ...describeSyncImpact(preview),
+              ...(preview.errors.length > 0 ? ['Errors:', ...preview.errors.map(e => `  ${e}`)] : [])
+            ], destName);
+          }
+        }
+        
+        const stats = await transferBetweenRemotes(source, target, sourceRoot, destRoot, {
+          dryRun,
+          compare,
+          exclude,
+          progress: createProgress(request, extra)
+        });
+        recordSyncAudit(audit, stats.targetRoot, stats);
+        const structuredContent = { sourceProfile, sourcePath, destProfile, destPath, ...getSyncResult(stats, dryRun) };
+        
+        if (dryRun) {
+          return {
+            content: [{
+              type: "text",
+              text: formatSyncPlan(stats, { source: `${sourceProfile}:${sourcePath}`, destination: `${destProfile}:${destPath}` })
+            }],
+            structuredContent
+          };
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Transfer ${stats.cancelled ? 'cancelled' : 'complete'}: ${description}\n\nCopied: ${stats.uploaded}\nSkipped: ${stats.skipped}\nIgnored: ${stats.ignored}\n${formatProtected(stats)}${stats.errors.length > 0 ? '\nErrors:\n' + stats.errors.join('\n') : ''}`
+          }],
+          structuredContent
+        };
+      } finally {
+        sourceLease.release();
+        destLease?.release();
+      }
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+  
   if (request.params.name === "ftp_deploy") {
     try {
-      const { deployment } = request.params.arguments;
+      const { deployment, dryRun = false, confirmToken } = request.params.arguments;
       const configPath = path.join(process.cwd(), '.ftpconfig');
       const configData = await fs.readFile(configPath, 'utf8');
       const config = JSON.parse(configData);
@@ -716,48 +5758,334 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const deployConfig = config.deployments[deployment];
       const profileConfig = config[deployConfig.profile];
       
-      if (!profileConfig) {
+      if (!profileConfig) {
+        return {
+          content: [{
+            type: "text",
+            text: `Profile "${deployConfig.profile}" not found in .ftpconfig`
+          }],
+          isError: true
+        };
+      }
+      
+      currentConfig = profileConfig;
+      currentProfile = deployConfig.profile;
+      checkReadOnly(currentConfig, 'ftp_deploy', { dryRun });
+      const remotePath = resolveRemotePath(currentConfig, deployConfig.remote);
+      validateDeployHooks(deployConfig);
+      const hookContext = { config: currentConfig, remotePath };
+      
+      let lease = await acquireClient(currentConfig);
+      
+      try {
+        const localPath = path.resolve(deployConfig.local);
+        
+        if (!dryRun && requiresConfirmation(currentConfig, 'ftp_deploy')) {
+          if (confirmToken) {
+            consumeConfirmToken('ftp_deploy', request.params.arguments);
+          } else {
+            const preview = await syncFiles(lease.client, lease.useSFTP, localPath, remotePath, 'upload', deployConfig.exclude || [], {
+              dryRun: true,
+              compare: deployConfig.compare,
+              delete: deployConfig.delete
+            });
+            if (audit) {
+              audit.outcome = 'confirmation required';
+            }
+            return issueConfirmToken('ftp_deploy', request.params.arguments, [
+              `Deploy "${deployment}" from ${deployConfig.local} to ${deployConfig.remote}`,
+              `Upload: ${preview.uploaded}`,
+              `Delete: ${preview.deleted.length}`,
+              ...describeSyncImpact(preview),
+              ...formatImpactList('Hooks', [...planDeployHooks('before', deployConfig.before), ...planDeployHooks('after', deployConfig.after)].map(h => `${h.stage}: ${h.hook}`)),
+              ...(preview.errors.length > 0 ? ['Errors:', ...preview.errors.map(e => `  ${e}`)] : [])
+            ]);
+          }
+        }
+        
+        const hooks = [];
+        if (!dryRun && deployConfig.before?.length > 0) {
+          // Builds can take a while, don't hold on to a connection the server may drop in the meantime
+          lease.release();
+          const before = await runDeployHooks(hookContext, 'before', deployConfig.before);
+          hooks.push(...before.results);
+          if (before.failed) {
+            return {
+              content: [{
+                type: "text",
+                text: `Error: Deployment "${deployment}" aborted, a before hook failed. Nothing was uploaded.\n${formatHooks(hooks)}`
+              }],
+              isError: true
+            };
+          }
+          lease = await acquireClient(currentConfig);
+        }
+        const { client, useSFTP } = lease;
+        
+        const history = createDeployHistory(deployment, deployConfig);
+        let stats;
+        try {
+          stats = await syncFiles(
+            client, 
+            useSFTP, 
+            localPath, 
+            remotePath, 
+            'upload',
+            deployConfig.exclude || [],
+            { dryRun, compare: deployConfig.compare, delete: deployConfig.delete, atomic: deployConfig.atomic, concurrency: deployConfig.concurrency, history, progress: createProgress(request, extra) }
+          );
+          recordSyncAudit(audit, remotePath, stats);
+        } catch (error) {
+          await fs.rm(history.backupDir, { recursive: true, force: true });
+          throw error;
+        }
+        
+        if (dryRun) {
+          const plannedHooks = [...planDeployHooks('before', deployConfig.before), ...planDeployHooks('after', deployConfig.after)];
+          return {
+            content: [{
+              type: "text",
+              text: formatSyncPlan(stats, {
+                deployment,
+                profile: deployConfig.profile,
+                local: deployConfig.local,
+                remote: deployConfig.remote,
+                hooks: plannedHooks.map(h => `${h.stage}: ${h.hook}`)
+              })
+            }],
+            structuredContent: {
+              deployment,
+              deployId: null,
+              profile: deployConfig.profile,
+              local: deployConfig.local,
+              remote: deployConfig.remote,
+              ...getSyncResult(stats, true),
+              hooks: plannedHooks
+            }
+          };
+        }
+        
+        await saveDeployHistory(history, stats);
+        
+        // After hooks only follow a deployment that ran to the end
+        if (stats.cancelled) {
+          hooks.push(...planDeployHooks('after', deployConfig.after));
+        } else if (deployConfig.after?.length > 0) {
+          lease.release();
+          hooks.push(...(await runDeployHooks(hookContext, 'after', deployConfig.after)).results);
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Deployment "${deployment}" ${stats.cancelled ? 'cancelled' : 'complete'}:\n${deployConfig.description || ''}\n\nDeploy ID: ${history.id}\nProfile: ${deployConfig.profile}\nLocal: ${deployConfig.local}\nRemote: ${deployConfig.remote}\n\nUploaded: ${stats.uploaded}\nSkipped: ${stats.skipped}\nIgnored: ${stats.ignored}\n${formatDeleted(stats)}${formatProtected(stats)}${stats.errors.length > 0 ? '\nErrors:\n' + stats.errors.join('\n') + '\n' : ''}${formatHooks(hooks)}`
+          }],
+          structuredContent: {
+            deployment,
+            deployId: history.id,
+            profile: deployConfig.profile,
+            local: deployConfig.local,
+            remote: deployConfig.remote,
+            ...getSyncResult(stats, false),
+            hooks
+          }
+        };
+      } finally {
+        lease.release();
+      }
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+
+  if (request.params.name === "ftp_deploy_history") {
+    try {
+      const { deployment, limit = 10 } = request.params.arguments || {};
+      const entries = (await readStateFile('deploy-history.json', []))
+        .filter(e => !deployment || e.deployment === deployment)
+        .slice(-limit)
+        .reverse();
+      
+      if (entries.length === 0) {
+        return {
+          content: [{ type: "text", text: "No deployments recorded yet" }],
+          structuredContent: { entries: [] }
+        };
+      }
+      
+      const historyList = entries.map(e => {
+        return `${e.id}\n  Deployment: ${e.deployment}\n  Profile: ${e.profile}\n  Remote: ${e.remote}\n  Date: ${e.timestamp}\n  Changes: ${summarizeDeployChanges(e.files)}${e.errors.length > 0 ? `\n  Errors: ${e.errors.length}` : ''}${e.rolledBack ? `\n  Rolled back: ${e.rolledBack}` : ''}`;
+      }).join('\n\n');
+      
+      return {
+        content: [{ type: "text", text: `Deployment history:\n\n${historyList}` }],
+        structuredContent: {
+          entries: entries.map(e => ({
+            id: e.id,
+            deployment: e.deployment,
+            profile: e.profile,
+            remote: e.remote,
+            timestamp: e.timestamp,
+            files: e.files,
+            errors: e.errors,
+            rolledBack: e.rolledBack || null
+          }))
+        }
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+
+  if (request.params.name === "ftp_rollback") {
+    try {
+      const { id, confirmToken } = request.params.arguments;
+      const entries = await readStateFile('deploy-history.json', []);
+      const entry = entries.find(e => e.id === id);
+      
+      if (!entry) {
+        return {
+          content: [{
+            type: "text",
+            text: `Deployment "${id}" not found in history. Use ftp_deploy_history to see recorded deployments.`
+          }],
+          isError: true
+        };
+      }
+      
+      if (entry.rolledBack) {
+        return {
+          content: [{ type: "text", text: `Deployment "${id}" was already rolled back at ${entry.rolledBack}` }],
+          isError: true
+        };
+      }
+      
+      const configPath = path.join(process.cwd(), '.ftpconfig');
+      const configData = await fs.readFile(configPath, 'utf8');
+      const config = JSON.parse(configData);
+      const profileConfig = config[entry.profile];
+      
+      if (!profileConfig) {
+        return {
+          content: [{
+            type: "text",
+            text: `Profile "${entry.profile}" not found in .ftpconfig`
+          }],
+          isError: true
+        };
+      }
+      
+      currentConfig = profileConfig;
+      currentProfile = entry.profile;
+      checkReadOnly(currentConfig, 'ftp_rollback');
+      
+      if (requiresConfirmation(currentConfig, 'ftp_rollback')) {
+        if (!confirmToken) {
+          if (audit) {
+            audit.outcome = 'confirmation required';
+          }
+          return issueConfirmToken('ftp_rollback', request.params.arguments, [
+            `Roll back deployment "${id}" on ${entry.remote}`,
+            `Changes to undo: ${summarizeDeployChanges(entry.files)}`
+          ]);
+        }
+        consumeConfirmToken('ftp_rollback', request.params.arguments);
+      }
+      
+      const lease = await acquireClient(currentConfig);
+      const { client, useSFTP } = lease;
+      
+      try {
+        const results = await rollbackDeployment(client, useSFTP, entry);
+        if (audit) {
+          audit.paths = [...results.restored, ...results.removed];
+        }
+        
+        entry.rolledBack = new Date().toISOString();
+        await writeStateFile('deploy-history.json', entries);
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Rolled back deployment "${id}":\n\nRestored: ${results.restored.length}\nRemoved: ${results.removed.length}\n${results.errors.length > 0 ? '\nErrors:\n' + results.errors.join('\n') : ''}`
+          }],
+          structuredContent: { id, ...results }
+        };
+      } finally {
+        lease.release();
+      }
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+
+  if (request.params.name === "ftp_audit_log") {
+    try {
+      const { limit = 20, ...filters } = request.params.arguments || {};
+      const entries = filterAuditEntries(await readAuditLog(), filters)
+        .slice(-limit)
+        .reverse();
+      
+      if (entries.length === 0) {
+        return {
+          content: [{ type: "text", text: "No matching audit log entries" }],
+          structuredContent: { entries: [] }
+        };
+      }
+      
+      return {
+        content: [{ type: "text", text: `Audit log (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}):\n\n${entries.map(formatAuditEntry).join('\n\n')}` }],
+        structuredContent: { entries }
+      };
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+  
+  if (request.params.name === "ftp_trust_host") {
+    try {
+      const { profile, fingerprint } = request.params.arguments || {};
+      const activeProfile = currentProfile;
+      const config = profile ? await loadFTPConfig(profile) : currentConfig || await loadFTPConfig();
+      // Looking up another profile shouldn't switch the active one
+      currentProfile = activeProfile;
+      
+      if (!config.host || !isSFTP(config.host)) {
         return {
-          content: [{
-            type: "text",
-            text: `Profile "${deployConfig.profile}" not found in .ftpconfig`
-          }],
+          content: [{ type: "text", text: "Error: ftp_trust_host is only supported for SFTP profiles" }],
           isError: true
         };
       }
       
-      currentConfig = profileConfig;
-      currentProfile = deployConfig.profile;
+      const trusted = await trustHostKey(config, fingerprint);
       
-      const useSFTP = isSFTP(currentConfig.host);
-      const client = useSFTP ? await connectSFTP(currentConfig) : await connectFTP(currentConfig);
-      
-      try {
-        const localPath = path.resolve(deployConfig.local);
-        const stats = await syncFiles(
-          client, 
-          useSFTP, 
-          localPath, 
-          deployConfig.remote, 
-          'upload',
-          null,
-          null,
-          deployConfig.exclude || []
-        );
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Deployment "${deployment}" complete:\n${deployConfig.description || ''}\n\nProfile: ${deployConfig.profile}\nLocal: ${deployConfig.local}\nRemote: ${deployConfig.remote}\n\nUploaded: ${stats.uploaded}\nSkipped: ${stats.skipped}\nIgnored: ${stats.ignored}\n${stats.errors.length > 0 ? '\nErrors:\n' + stats.errors.join('\n') : ''}`
-          }]
-        };
-      } finally {
-        if (useSFTP) {
-          await client.end();
-        } else {
-          client.close();
+      return {
+        content: [{
+          type: "text",
+          text: trusted.alreadyTrusted
+            ? `Host ${trusted.hostName} is already trusted\nKey: ${trusted.type} ${trusted.fingerprint}`
+            : `Trusted host ${trusted.hostName}\nKey: ${trusted.type} ${trusted.fingerprint}\nRecorded in: ${trusted.knownHostsPath}`
+        }],
+        structuredContent: {
+          host: trusted.hostName,
+          keyType: trusted.type,
+          fingerprint: trusted.fingerprint,
+          alreadyTrusted: Boolean(trusted.alreadyTrusted),
+          knownHostsPath: trusted.knownHostsPath
         }
-      }
+      };
     } catch (error) {
       return {
         content: [{ type: "text", text: `Error: ${error.message}` }],
@@ -771,14 +6099,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { profile, useEnv } = request.params.arguments || {};
       currentConfig = await loadFTPConfig(profile, useEnv);
       
-      if (!currentConfig.host || !currentConfig.user || !currentConfig.password) {
+      if (!hasCredentials(currentConfig)) {
         return {
           content: [
             {
               type: "text",
-              text: "Error: FTP credentials not configured. Please set FTPMCP_HOST, FTPMCP_USER, and FTPMCP_PASSWORD environment variables or create a .ftpconfig file."
+              text: "Error: FTP credentials not configured. Please set FTPMCP_HOST, FTPMCP_USER, and FTPMCP_PASSWORD (or FTPMCP_PRIVATE_KEY / FTPMCP_AGENT for SFTP) environment variables or create a .ftpconfig file."
             }
-          ]
+          ],
+          isError: true
         };
       }
       
@@ -786,7 +6115,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         content: [{
           type: "text",
           text: `Connected to profile: ${profile || currentProfile || 'environment variables'}\nHost: ${currentConfig.host}`
-        }]
+        }],
+        structuredContent: {
+          profile: profile || currentProfile || 'environment variables',
+          host: currentConfig.host,
+          protocol: isSFTP(currentConfig.host) ? 'sftp' : 'ftp'
+        }
       };
     } catch (error) {
       return {
@@ -806,432 +6140,85 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             type: "text",
             text: "Error: FTP credentials not configured. Please use ftp_connect first or set environment variables."
           }
-        ]
+        ],
+        isError: true
       };
     }
   }
 
-  if (!currentConfig.host || !currentConfig.user || !currentConfig.password) {
+  if (!hasCredentials(currentConfig)) {
     return {
       content: [
         {
           type: "text",
-          text: "Error: FTP credentials not configured. Please set FTPMCP_HOST, FTPMCP_USER, and FTPMCP_PASSWORD environment variables or create a .ftpconfig file."
+          text: "Error: FTP credentials not configured. Please set FTPMCP_HOST, FTPMCP_USER, and FTPMCP_PASSWORD (or FTPMCP_PRIVATE_KEY / FTPMCP_AGENT for SFTP) environment variables or create a .ftpconfig file."
         }
-      ]
+      ],
+      isError: true
     };
   }
 
-  const useSFTP = isSFTP(currentConfig.host);
-  let client;
-
   try {
-    client = useSFTP ? await connectSFTP(currentConfig) : await connectFTP(currentConfig);
-
-    switch (request.params.name) {
-      case "ftp_list": {
-        const path = request.params.arguments?.path || ".";
-        let files;
-        
-        if (useSFTP) {
-          files = await client.list(path);
-          const formatted = files.map(f => 
-            `${f.type === 'd' ? 'DIR' : 'FILE'} ${f.name} (${f.size} bytes, ${f.rights?.user}${f.rights?.group}${f.rights?.other})`
-          ).join('\n');
-          return {
-            content: [{ type: "text", text: formatted || "Empty directory" }]
-          };
-        } else {
-          files = await client.list(path);
-          const formatted = files.map(f => 
-            `${f.isDirectory ? 'DIR' : 'FILE'} ${f.name} (${f.size} bytes)`
-          ).join('\n');
-          return {
-            content: [{ type: "text", text: formatted || "Empty directory" }]
-          };
-        }
-      }
-
-      case "ftp_get_contents": {
-        const { path } = request.params.arguments;
-        let content;
-        
-        if (useSFTP) {
-          const buffer = await client.get(path);
-          content = buffer.toString('utf8');
-        } else {
-          const chunks = [];
-          const stream = new Writable({
-            write(chunk, encoding, callback) {
-              chunks.push(chunk);
-              callback();
-            }
-          });
-          
-          await client.downloadTo(stream, path);
-          content = Buffer.concat(chunks).toString('utf8');
-        }
-        
-        return {
-          content: [{ type: "text", text: content }]
-        };
-      }
-
-      case "ftp_put_contents": {
-        const { path, content } = request.params.arguments;
-        
-        if (useSFTP) {
-          const buffer = Buffer.from(content, 'utf8');
-          await client.put(buffer, path);
-        } else {
-          const readable = Readable.from([content]);
-          await client.uploadFrom(readable, path);
-        }
-        
-        return {
-          content: [{ type: "text", text: `Successfully wrote content to ${path}` }]
-        };
-      }
-
-      case "ftp_stat": {
-        const { path } = request.params.arguments;
-        
-        if (useSFTP) {
-          const stats = await client.stat(path);
-          return {
-            content: [{
-              type: "text",
-              text: JSON.stringify({
-                size: stats.size,
-                modified: stats.modifyTime,
-                accessed: stats.accessTime,
-                permissions: stats.mode,
-                isDirectory: stats.isDirectory,
-                isFile: stats.isFile
-              }, null, 2)
-            }]
-          };
-        } else {
-          const dirPath = path.substring(0, path.lastIndexOf('/')) || '.';
-          const fileName = path.substring(path.lastIndexOf('/') + 1);
-          const files = await client.list(dirPath);
-          const file = files.find(f => f.name === fileName);
-          
-          if (!file) {
-            throw new Error(`File not found: ${path}`);
-          }
-          
-          return {
-            content: [{
-              type: "text",
-              text: JSON.stringify({
-                size: file.size,
-                modified: file.modifiedAt || file.rawModifiedAt,
-                isDirectory: file.isDirectory,
-                isFile: file.isFile
-              }, null, 2)
-            }]
-          };
-        }
-      }
-
-      case "ftp_exists": {
-        const { path } = request.params.arguments;
-        let exists = false;
-        
-        try {
-          if (useSFTP) {
-            await client.stat(path);
-            exists = true;
-          } else {
-            const dirPath = path.substring(0, path.lastIndexOf('/')) || '.';
-            const fileName = path.substring(path.lastIndexOf('/') + 1);
-            const files = await client.list(dirPath);
-            exists = files.some(f => f.name === fileName);
-          }
-        } catch (e) {
-          exists = false;
-        }
-        
-        return {
-          content: [{ type: "text", text: exists ? "true" : "false" }]
-        };
-      }
-
-      case "ftp_tree": {
-        const { path = ".", maxDepth = 10 } = request.params.arguments || {};
-        const tree = await getTreeRecursive(client, useSFTP, path, 0, maxDepth);
-        
-        const formatted = tree.map(item => {
-          const indent = '  '.repeat((item.path.match(/\//g) || []).length);
-          return `${indent}${item.isDirectory ? '📁' : '📄'} ${item.name} ${!item.isDirectory ? `(${item.size} bytes)` : ''}`;
-        }).join('\n');
-        
-        return {
-          content: [{ type: "text", text: formatted || "Empty directory" }]
-        };
-      }
-
-      case "ftp_search": {
-        const { pattern, path = "." } = request.params.arguments;
-        const tree = await getTreeRecursive(client, useSFTP, path, 0, 10);
-        
-        const regex = new RegExp(pattern.replace(/\*/g, '.*').replace(/\?/g, '.'));
-        const matches = tree.filter(item => regex.test(item.name));
-        
-        const formatted = matches.map(item => 
-          `${item.path} (${item.isDirectory ? 'DIR' : item.size + ' bytes'})`
-        ).join('\n');
-        
-        return {
-          content: [{ type: "text", text: formatted || "No matches found" }]
-        };
-      }
-
-      case "ftp_copy": {
-        const { sourcePath, destPath } = request.params.arguments;
-        
-        if (!useSFTP) {
-          return {
-            content: [{ type: "text", text: "Error: ftp_copy is only supported for SFTP connections. For FTP, download and re-upload." }]
-          };
-        }
-        
-        const buffer = await client.get(sourcePath);
-        await client.put(buffer, destPath);
-        
-        return {
-          content: [{ type: "text", text: `Successfully copied ${sourcePath} to ${destPath}` }]
-        };
-      }
-
-      case "ftp_batch_upload": {
-        const { files } = request.params.arguments;
-        const results = { success: [], failed: [] };
-        
-        for (const file of files) {
-          try {
-            if (useSFTP) {
-              await client.put(file.localPath, file.remotePath);
-            } else {
-              await client.uploadFrom(file.localPath, file.remotePath);
-            }
-            results.success.push(file.remotePath);
-          } catch (error) {
-            results.failed.push({ path: file.remotePath, error: error.message });
-          }
-        }
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Uploaded: ${results.success.length}\nFailed: ${results.failed.length}\n${results.failed.length > 0 ? '\nErrors:\n' + results.failed.map(f => `${f.path}: ${f.error}`).join('\n') : ''}`
-          }]
-        };
-      }
-
-      case "ftp_batch_download": {
-        const { files } = request.params.arguments;
-        const results = { success: [], failed: [] };
-        
-        for (const file of files) {
-          try {
-            if (useSFTP) {
-              await client.get(file.remotePath, file.localPath);
-            } else {
-              await client.downloadTo(file.localPath, file.remotePath);
-            }
-            results.success.push(file.remotePath);
-          } catch (error) {
-            results.failed.push({ path: file.remotePath, error: error.message });
-          }
-        }
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Downloaded: ${results.success.length}\nFailed: ${results.failed.length}\n${results.failed.length > 0 ? '\nErrors:\n' + results.failed.map(f => `${f.path}: ${f.error}`).join('\n') : ''}`
-          }]
-        };
-      }
-
-      case "ftp_sync": {
-        const { localPath, remotePath, direction = "upload" } = request.params.arguments;
-        const stats = await syncFiles(client, useSFTP, localPath, remotePath, direction);
-        
-        return {
-          content: [{
-            type: "text",
-            text: `Sync complete:\nUploaded: ${stats.uploaded}\nDownloaded: ${stats.downloaded}\nSkipped: ${stats.skipped}\nIgnored: ${stats.ignored}\n${stats.errors.length > 0 ? '\nErrors:\n' + stats.errors.join('\n') : ''}`
-          }]
-        };
-      }
-
-      case "ftp_disk_space": {
-        const { path = "." } = request.params.arguments || {};
-        
-        if (!useSFTP) {
-          return {
-            content: [{ type: "text", text: "Error: ftp_disk_space is only supported for SFTP connections" }]
-          };
-        }
-        
-        try {
-          const sftp = await client.sftp();
-          const diskSpace = await new Promise((resolve, reject) => {
-            sftp.ext_openssh_statvfs(path, (err, stats) => {
-              if (err) reject(err);
-              else resolve(stats);
-            });
-          });
-          
-          return {
-            content: [{
-              type: "text",
-              text: JSON.stringify({
-                total: diskSpace.blocks * diskSpace.bsize,
-                free: diskSpace.bfree * diskSpace.bsize,
-                available: diskSpace.bavail * diskSpace.bsize,
-                used: (diskSpace.blocks - diskSpace.bfree) * diskSpace.bsize
-              }, null, 2)
-            }]
-          };
-        } catch (error) {
-          return {
-            content: [{ type: "text", text: `Disk space info not available: ${error.message}` }]
-          };
-        }
-      }
-
-      case "ftp_upload": {
-        const { localPath, remotePath } = request.params.arguments;
-        
-        if (useSFTP) {
-          await client.put(localPath, remotePath);
-        } else {
-          await client.uploadFrom(localPath, remotePath);
-        }
-        
-        return {
-          content: [{ type: "text", text: `Successfully uploaded ${localPath} to ${remotePath}` }]
-        };
-      }
-
-      case "ftp_download": {
-        const { remotePath, localPath } = request.params.arguments;
-        
-        if (useSFTP) {
-          await client.get(remotePath, localPath);
-        } else {
-          await client.downloadTo(localPath, remotePath);
-        }
-        
-        return {
-          content: [{ type: "text", text: `Successfully downloaded ${remotePath} to ${localPath}` }]
-        };
-      }
-
-      case "ftp_delete": {
-        const { path } = request.params.arguments;
-        
-        if (useSFTP) {
-          await client.delete(path);
-        } else {
-          await client.remove(path);
-        }
-        
-        return {
-          content: [{ type: "text", text: `Successfully deleted ${path}` }]
-        };
-      }
-
-      case "ftp_mkdir": {
-        const { path } = request.params.arguments;
-        
-        if (useSFTP) {
-          await client.mkdir(path, true);
-        } else {
-          await client.ensureDir(path);
-        }
-        
-        return {
-          content: [{ type: "text", text: `Successfully created directory ${path}` }]
-        };
-      }
-
-      case "ftp_rmdir": {
-        const { path, recursive } = request.params.arguments;
-        
-        if (useSFTP) {
-          await client.rmdir(path, recursive);
-        } else {
-          if (recursive) {
-            await client.removeDir(path);
-          } else {
-            await client.remove(path);
-          }
-        }
-        
-        return {
-          content: [{ type: "text", text: `Successfully removed directory ${path}` }]
-        };
-      }
-
-      case "ftp_chmod": {
-        const { path, mode } = request.params.arguments;
-        
-        if (!useSFTP) {
-          return {
-            content: [{ type: "text", text: "Error: chmod is only supported for SFTP connections" }]
-          };
-        }
-        
-        await client.chmod(path, mode);
-        
-        return {
-          content: [{ type: "text", text: `Successfully changed permissions of ${path} to ${mode}` }]
-        };
-      }
-
-      case "ftp_rename": {
-        const { oldPath, newPath } = request.params.arguments;
-        
-        if (useSFTP) {
-          await client.rename(oldPath, newPath);
-        } else {
-          await client.rename(oldPath, newPath);
-        }
-        
-        return {
-          content: [{ type: "text", text: `Successfully renamed ${oldPath} to ${newPath}` }]
-        };
-      }
-
-      default:
-        return {
-          content: [{ type: "text", text: `Unknown tool: ${request.params.name}` }],
-          isError: true
-        };
+    checkReadOnly(currentConfig, request.params.name, request.params.arguments);
+    const confined = {
+      ...request,
+      params: { ...request.params, arguments: confineArguments(currentConfig, request.params.name, request.params.arguments) }
+    };
+    if (audit) {
+      audit.paths = getAuditPaths(request.params.name, confined.params.arguments);
     }
+    // Consumed once up front, a retry on a fresh connection only repeats the impact check
+    checkConfirmToken(confined.params.name, confined.params.arguments);
+    
+    return await withClient(currentConfig, async (client, useSFTP) => {
+      const confirmation = await guardDestructiveCall(client, useSFTP, confined.params.name, confined.params.arguments);
+      if (confirmation && audit) {
+        audit.outcome = 'confirmation required';
+      }
+      return confirmation || await handleToolCall(confined, client, useSFTP, extra, audit);
+    }, { idempotent: !isMutatingCall(confined.params.name, confined.params.arguments) });
   } catch (error) {
     return {
       content: [{ type: "text", text: `Error: ${error.message}` }],
       isError: true
     };
-  } finally {
-    if (client) {
-      if (useSFTP) {
-        await client.end();
-      } else {
-        client.close();
-      }
-    }
   }
+}
+
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const audit = createAuditEntry(request.params.name, request.params.arguments);
+  const result = await callTool(request, extra, audit);
+  await audit?.write(result);
+  return result;
+});
+
+server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+  return listResources(request.params?.cursor);
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return listResourceTemplates();
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  return readResource(request.params.uri);
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  await subscribeResource(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  unsubscribeResource(request.params.uri);
+  return {};
 });
 
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
+  process.stdin.on('end', closeAllConnections);
+  process.stdin.on('end', stopAllWatchers);
   console.error("FTP MCP Server running on stdio");
 }
 